@@ -1,1572 +1,8436 @@
-// Storage Management System
-class StorageManager {
-    constructor() {
-        this.storageKey = 'missionMonitorData';
-        this.init();
-    }
+// Storage Adapters
+const RECORD_KEYS = {
+    users: ['username'],
+    tasks: ['id'],
+    badges: ['userId', 'id']
+};
+
+function getRecordKey(store, record) {
+    const key = RECORD_KEYS[store].map(field => record[field]);
+    return key.length === 1 ? key[0] : key;
+}
 
-    init() {
-        if (!localStorage.getItem(this.storageKey)) {
-            this.initializeStorage();
+function isSameRecordKey(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Applies record-level changes ({ store, op, value | key }) to a data object
+// in place. `put` replaces a record unless the stored copy is newer, `patch`
+// merges fields into an existing record and `delete` removes it.
+function applyRecordChanges(data, changes) {
+    changes.forEach(change => {
+        if (change.store === 'meta') {
+            data[change.value.key] = change.value.value;
+            return;
         }
-    }
 
-    initializeStorage() {
-        const initialData = {
-            users: {},
-            currentUser: null,
-            tasks: [],
-            badges: [],
-            settings: {
-                theme: 'light',
-                notifications: true
+        const key = change.op === 'put'
+            ? getRecordKey(change.store, change.value)
+            : change.key;
+
+        if (change.store === 'users') {
+            data.users = data.users || {};
+            const existing = data.users[key];
+            if (change.op === 'delete') {
+                delete data.users[key];
+            } else if (change.op === 'patch') {
+                if (existing) data.users[key] = { ...existing, ...change.value };
+            } else {
+                data.users[key] = change.value;
             }
-        };
-        localStorage.setItem(this.storageKey, JSON.stringify(initialData));
+            return;
+        }
+
+        data[change.store] = data[change.store] || [];
+        const records = data[change.store];
+        const index = records.findIndex(record =>
+            isSameRecordKey(getRecordKey(change.store, record), key)
+        );
+
+        if (change.op === 'delete') {
+            if (index !== -1) records.splice(index, 1);
+        } else if (change.op === 'patch') {
+            if (index !== -1) records[index] = { ...records[index], ...change.value };
+        } else if (index === -1) {
+            records.push(change.value);
+        } else if (!(records[index].updatedAt > change.value.updatedAt)) {
+            records[index] = change.value;
+        }
+    });
+    return data;
+}
+
+class LocalStorageAdapter {
+    constructor(storageKey) {
+        this.name = 'localStorage';
+        this.storageKey = storageKey;
+        // localStorage holds about 5 MB in all, so restore points only get a
+        // few slots and roughly a fifth of it, counted in characters
+        this.snapshotLimit = 3;
+        this.snapshotBudget = 1024 * 1024;
     }
 
-    getData() {
+    async open() {
+        return true;
+    }
+
+    async load() {
+        const raw = localStorage.getItem(this.storageKey);
+        if (!raw) return null;
+
         try {
-            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return JSON.parse(raw);
         } catch (error) {
             console.error('Error parsing storage data:', error);
-            this.initializeStorage();
-            return this.getData();
+            return null;
         }
     }
 
-    saveData(data) {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
-            return true;
-        } catch (error) {
-            console.error('Error saving data:', error);
-            return false;
+    // The whole blob is the unit of storage here. Record-level changes are
+    // merged onto the latest stored blob, so a tab with a stale copy only
+    // replaces the records it touched instead of everything other tabs wrote.
+    write(data, changes = null) {
+        let target = data;
+        if (changes) {
+            try {
+                const latest = JSON.parse(localStorage.getItem(this.storageKey));
+                if (latest) {
+                    target = applyRecordChanges(latest, changes);
+                }
+            } catch (error) {
+                console.error('Error parsing storage data:', error);
+            }
         }
+        localStorage.setItem(this.storageKey, JSON.stringify(target));
     }
 
-    // User Management
-    addUser(userData) {
-        const data = this.getData();
-        if (data.users[userData.username]) {
-            return false; // User already exists
-        }
-        data.users[userData.username] = {
-            ...userData,
-            createdAt: new Date().toISOString()
-        };
-        return this.saveData(data);
+    async loadBackup() {
+        const raw = localStorage.getItem(`${this.storageKey}Backup`);
+        return raw ? JSON.parse(raw) : null;
     }
 
-    getUser(username) {
-        const data = this.getData();
-        return data.users[username] || null;
+    async saveBackup(data) {
+        localStorage.setItem(`${this.storageKey}Backup`, JSON.stringify(data));
     }
 
-    getUsers() {
-        const data = this.getData();
-        return data.users || {};
+    // Snapshots are kept under their own key, apart from the live data
+    readSnapshots() {
+        const raw = localStorage.getItem(`${this.storageKey}Snapshots`);
+        return raw ? JSON.parse(raw) : [];
     }
 
-    setCurrentUser(username) {
-        const data = this.getData();
-        data.currentUser = username;
-        return this.saveData(data);
+    async loadSnapshots(userId) {
+        return this.readSnapshots().filter(snapshot => snapshot.userId === userId);
     }
 
-    getCurrentUser() {
-        const data = this.getData();
-        return data.currentUser;
+    // Any user's oldest restore points make way once the budget is used up;
+    // the new one is always kept
+    async putSnapshot(snapshot) {
+        const older = this.readSnapshots()
+            .filter(item => item.id !== snapshot.id)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        let serialized = JSON.stringify([...older, snapshot]);
+        while (older.length > 0 && serialized.length > this.snapshotBudget) {
+            older.pop();
+            serialized = JSON.stringify([...older, snapshot]);
+        }
+        localStorage.setItem(`${this.storageKey}Snapshots`, serialized);
     }
 
-    // Task Management
-    addTask(task) {
-        const data = this.getData();
-        const newTask = {
-            ...task,
-            id: this.generateId(),
-            userId: data.currentUser,
-            createdAt: new Date().toISOString(),
-            completed: false
-        };
-        data.tasks.push(newTask);
-        this.saveData(data);
-        return newTask;
+    async deleteSnapshots(ids) {
+        const snapshots = this.readSnapshots().filter(snapshot => !ids.includes(snapshot.id));
+        localStorage.setItem(`${this.storageKey}Snapshots`, JSON.stringify(snapshots));
     }
+}
 
-    getTasks() {
-        const data = this.getData();
-        const currentUser = data.currentUser;
-        return data.tasks.filter(task => task.userId === currentUser) || [];
+class IndexedDBAdapter {
+    constructor(dbName = 'missionMonitor', version = 3) {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+        this.collections = ['users', 'tasks', 'badges'];
+        this.storeNames = [...this.collections, 'meta'];
+        // Set by the owner to tell the user about version upgrades
+        this.onBlocked = () => {};
+        this.onVersionChange = () => {};
     }
 
-    updateTask(taskId, updates) {
-        const data = this.getData();
-        const taskIndex = data.tasks.findIndex(task => task.id === taskId);
-        if (taskIndex !== -1) {
-            data.tasks[taskIndex] = { ...data.tasks[taskIndex], ...updates };
-            this.saveData(data);
-            return data.tasks[taskIndex];
-        }
-        return null;
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => this.upgrade(request.result);
+            request.onsuccess = () => {
+                this.db = request.result;
+                // A newer version opening in another tab waits until every
+                // older connection is closed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.onVersionChange();
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade is waiting for other tabs to close');
+                this.onBlocked();
+            };
+        });
     }
 
-    deleteTask(taskId) {
-        const data = this.getData();
-        const taskIndex = data.tasks.findIndex(task => task.id === taskId);
-        if (taskIndex !== -1) {
-            data.tasks.splice(taskIndex, 1);
-            return this.saveData(data);
+    upgrade(db) {
+        if (!db.objectStoreNames.contains('users')) {
+            db.createObjectStore('users', { keyPath: 'username' });
+        }
+
+        if (!db.objectStoreNames.contains('tasks')) {
+            const tasks = db.createObjectStore('tasks', { keyPath: 'id' });
+            tasks.createIndex('userId', 'userId');
+            tasks.createIndex('date', 'date');
+            tasks.createIndex('userDate', ['userId', 'date']);
+        }
+
+        if (!db.objectStoreNames.contains('badges')) {
+            const badges = db.createObjectStore('badges', { keyPath: ['userId', 'id'] });
+            badges.createIndex('userId', 'userId');
+        }
+
+        if (!db.objectStoreNames.contains('meta')) {
+            db.createObjectStore('meta', { keyPath: 'key' });
+        }
+
+        if (!db.objectStoreNames.contains('backups')) {
+            db.createObjectStore('backups', { keyPath: 'key' });
+        }
+
+        if (!db.objectStoreNames.contains('snapshots')) {
+            const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+            snapshots.createIndex('userId', 'userId');
         }
-        return false;
     }
 
-    completeTask(taskId) {
-        const task = this.updateTask(taskId, {
-            completed: true,
-            completedAt: new Date().toISOString()
+    getAll(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName, 'readonly')
+                .objectStore(storeName)
+                .getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
-        return task;
     }
 
-    // Badge Management
-    addBadge(badge) {
-        const data = this.getData();
-        const existingBadge = data.badges.find(b => 
-            b.id === badge.id && b.userId === data.currentUser
+    async load() {
+        const [users, tasks, badges, meta] = await Promise.all(
+            this.storeNames.map(storeName => this.getAll(storeName))
         );
-        
-        if (existingBadge) {
-            return null; // Badge already exists
+
+        if (users.length === 0 && meta.length === 0) {
+            return null;
         }
 
-        const newBadge = {
-            ...badge,
-            userId: data.currentUser,
-            earnedAt: new Date().toISOString()
+        // Top-level values other than the collections (currentUser, settings...)
+        // live in the meta store as { key, value } entries
+        const data = {
+            users: Object.fromEntries(users.map(user => [user.username, user])),
+            tasks,
+            badges
         };
-        data.badges.push(newBadge);
-        this.saveData(data);
-        return newBadge;
+        meta.forEach(entry => {
+            data[entry.key] = entry.value;
+        });
+        return data;
     }
 
-    getBadges() {
-        const data = this.getData();
-        const currentUser = data.currentUser;
-        return data.badges.filter(badge => badge.userId === currentUser) || [];
+    async loadBackup() {
+        const backups = await this.getAll('backups');
+        const backup = backups.find(entry => entry.key === 'preMigration');
+        return backup ? backup.data : null;
     }
 
-    // Statistics
-    getTaskStats() {
-        const tasks = this.getTasks();
-        const today = new Date().toISOString().split('T')[0];
-        
-        const todayTasks = tasks.filter(task => task.date === today);
-        const completedTasks = tasks.filter(task => task.completed);
-        const pendingTasks = tasks.filter(task => !task.completed);
+    saveBackup(data) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction('backups', 'readwrite');
+            transaction.objectStore('backups').put({
+                key: 'preMigration',
+                createdAt: new Date().toISOString(),
+                data: this.toRecord(data)
+            });
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
 
-        const priorityStats = {
-            high: tasks.filter(task => task.priority === 'high').length,
-            medium: tasks.filter(task => task.priority === 'medium').length,
-            low: tasks.filter(task => task.priority === 'low').length
-        };
+    loadSnapshots(userId) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('snapshots', 'readonly')
+                .objectStore('snapshots')
+                .index('userId')
+                .getAll(userId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-        return {
-            total: tasks.length,
-            completed: completedTasks.length,
-            pending: pendingTasks.length,
-            completedTasks: completedTasks.length,
-            today: {
-                total: todayTasks.length,
-                completed: todayTasks.filter(task => task.completed).length,
-                pending: todayTasks.filter(task => !task.completed).length
-            },
-            byPriority: priorityStats
-        };
+    putSnapshot(snapshot) {
+        return this.runTransaction('snapshots', store => store.put(this.toRecord(snapshot)));
     }
 
-    // Settings
-    setTheme(theme) {
-        const data = this.getData();
-        data.settings.theme = theme;
-        return this.saveData(data);
+    deleteSnapshots(ids) {
+        return this.runTransaction('snapshots', store => ids.forEach(id => store.delete(id)));
     }
 
-    getTheme() {
-        const data = this.getData();
-        return data.settings.theme || 'light';
+    runTransaction(storeName, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
     }
 
-    // Utility
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    // Records go through JSON like the localStorage blob does, which drops
+    // values structured clone rejects (e.g. badge condition functions)
+    toRecord(value) {
+        return JSON.parse(JSON.stringify(value));
     }
 
-    exportUserData() {
-        const data = this.getData();
-        const currentUser = data.currentUser;
-        return {
-            user: data.users[currentUser],
-            tasks: this.getTasks(),
-            badges: this.getBadges(),
-            settings: data.settings
-        };
+    write(data, changes = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeNames, 'readwrite');
+
+            if (changes) {
+                changes.forEach(change => {
+                    const store = transaction.objectStore(change.store);
+                    if (change.op === 'delete') {
+                        store.delete(change.key);
+                    } else if (change.op === 'patch') {
+                        // Read-modify-write inside the transaction so fields
+                        // edited concurrently by another tab are kept
+                        const request = store.get(change.key);
+                        request.onsuccess = () => {
+                            if (request.result) {
+                                store.put({ ...request.result, ...this.toRecord(change.value) });
+                            }
+                        };
+                    } else {
+                        store.put(this.toRecord(change.value));
+                    }
+                });
+            } else {
+                this.storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+                const record = this.toRecord(data);
+                Object.values(record.users || {}).forEach(user => {
+                    transaction.objectStore('users').put(user);
+                });
+                (record.tasks || []).forEach(task => transaction.objectStore('tasks').put(task));
+                (record.badges || []).forEach(badge => transaction.objectStore('badges').put(badge));
+                Object.keys(record)
+                    .filter(key => !this.collections.includes(key))
+                    .forEach(key => {
+                        transaction.objectStore('meta').put({ key, value: record[key] });
+                    });
+            }
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
     }
+}
 
-    importUserData(userData) {
-        const data = this.getData();
-        const currentUser = data.currentUser;
-        
-        if (userData.tasks) {
-            // Remove existing tasks for current user
-            data.tasks = data.tasks.filter(task => task.userId !== currentUser);
-            // Add imported tasks
-            userData.tasks.forEach(task => {
-                data.tasks.push({ ...task, userId: currentUser });
-            });
-        }
+// Schema Migration System
+class SchemaMigrator {
+    constructor() {
+        this.migrations = this.initializeMigrations()
+            .sort((a, b) => a.version - b.version);
+        this.currentVersion = this.migrations.length
+            ? this.migrations[this.migrations.length - 1].version
+            : 0;
+    }
 
-        if (userData.badges) {
-            // Remove existing badges for current user
-            data.badges = data.badges.filter(badge => badge.userId !== currentUser);
-            // Add imported badges
-            userData.badges.forEach(badge => {
-                data.badges.push({ ...badge, userId: currentUser });
-            });
-        }
+    // Each step receives either the full storage object or an export
+    // payload; both carry tasks, badges and settings, so steps should only
+    // rely on those and tolerate the rest being absent.
+    initializeMigrations() {
+        return [
+            {
+                version: 1,
+                description: 'Normalize task priorities and defaults',
+                migrate: (data) => {
+                    const priorities = ['high', 'medium', 'low'];
+                    data.tasks = (data.tasks || []).map(task => {
+                        const priority = String(task.priority || '').toLowerCase();
+                        return {
+                            ...task,
+                            description: task.description || '',
+                            priority: priorities.includes(priority) ? priority : 'medium',
+                            completed: Boolean(task.completed)
+                        };
+                    });
+                    data.badges = (data.badges || []).map(badge => ({
+                        ...badge,
+                        earnedAt: badge.earnedAt || new Date().toISOString()
+                    }));
+                    return data;
+                }
+            },
+            {
+                version: 2,
+                description: 'Add record revisions for server sync',
+                migrate: (data) => {
+                    const now = new Date().toISOString();
+                    data.tasks = (data.tasks || []).map(task => ({
+                        ...task,
+                        updatedAt: task.updatedAt || task.createdAt || now,
+                        revision: task.revision || 1
+                    }));
+                    data.badges = (data.badges || []).map(badge => ({
+                        ...badge,
+                        updatedAt: badge.updatedAt || badge.earnedAt || now,
+                        revision: badge.revision || 1
+                    }));
+                    return data;
+                }
+            },
+            {
+                version: 3,
+                description: 'Move settings onto each user',
+                migrate: (data) => {
+                    // Export payloads already hold just their user's settings
+                    if (!data.users || !data.settings) return data;
+
+                    Object.values(data.users).forEach(user => {
+                        user.settings = { ...data.settings, ...user.settings };
+                    });
+                    delete data.settings;
+                    return data;
+                }
+            }
+        ];
+    }
 
-        if (userData.settings) {
-            data.settings = { ...data.settings, ...userData.settings };
-        }
+    getVersion(data) {
+        return Number(data && data.version) || 0;
+    }
 
-        return this.saveData(data);
+    needsMigration(data) {
+        return this.getVersion(data) < this.currentVersion;
     }
 
-    cleanupOldData(daysToKeep = 90) {
-        const data = this.getData();
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-        
-        // Clean old completed tasks
-        data.tasks = data.tasks.filter(task => {
-            if (!task.completed) return true;
-            const taskDate = new Date(task.completedAt || task.createdAt);
-            return taskDate > cutoffDate;
+    migrate(data) {
+        const fromVersion = this.getVersion(data);
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`Data version ${fromVersion} is newer than this app supports (${this.currentVersion})`);
+        }
+
+        // Work on a copy so a failing step never leaves the input half-upgraded
+        let migrated = JSON.parse(JSON.stringify(data));
+
+        // Encrypted records can't be read here; they are migrated when
+        // their vault is opened
+        const sealed = {};
+        ['tasks', 'badges'].forEach(store => {
+            if (!Array.isArray(migrated[store])) return;
+            sealed[store] = migrated[store].filter(record => record.sealed);
+            migrated[store] = migrated[store].filter(record => !record.sealed);
         });
 
-        return this.saveData(data);
+        this.migrations
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                try {
+                    migrated = migration.migrate(migrated) || migrated;
+                    migrated.version = migration.version;
+                } catch (error) {
+                    throw new Error(`Migration to version ${migration.version} (${migration.description}) failed: ${error.message}`);
+                }
+            });
+
+        Object.entries(sealed).forEach(([store, records]) => {
+            migrated[store] = [...(migrated[store] || []), ...records];
+        });
+        return migrated;
     }
 }
 
-// Authentication System
-class AuthManager {
-    constructor(storageManager) {
-        this.storage = storageManager;
-        this.currentSession = null;
-        this.init();
+// Vault Encryption System
+// Wraps the Web Crypto API. A random AES-GCM data key encrypts the records;
+// the data key itself is stored wrapped with a key derived from the password.
+class VaultCrypto {
+    constructor() {
+        this.iterations = 310000;
+        this.passwordAlgorithm = 'PBKDF2-SHA256';
+        this.encoder = new TextEncoder();
+        this.decoder = new TextDecoder();
     }
 
-    init() {
-        // Check for existing session
-        const currentUser = this.storage.getCurrentUser();
-        if (currentUser) {
-            this.currentSession = currentUser;
+    toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
         }
+        return btoa(binary);
     }
 
-    hashPassword(password) {
-        // Simple hash function for demo purposes
-        let hash = 0;
-        for (let i = 0; i < password.length; i++) {
-            const char = password.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
         }
-        return hash.toString();
+        return bytes;
     }
 
-    register(username, password, displayName) {
-        if (!username || !password || !displayName) {
-            throw new Error('All fields are required');
-        }
+    randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
 
-        if (username.length < 3) {
-            throw new Error('Username must be at least 3 characters');
-        }
+    async deriveKey(password, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', this.encoder.encode(password), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
 
-        if (password.length < 6) {
-            throw new Error('Password must be at least 6 characters');
-        }
+    // Password hashes are stored as { algorithm, iterations, salt, hash } so
+    // the parameters can be raised later without breaking old accounts
+    async hashPassword(password, salt = this.randomBytes(16), iterations = this.iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', this.encoder.encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const hash = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256
+        );
+        return {
+            algorithm: this.passwordAlgorithm,
+            iterations,
+            salt: this.toBase64(salt),
+            hash: this.toBase64(hash)
+        };
+    }
 
-        const existingUser = this.storage.getUser(username);
-        if (existingUser) {
-            throw new Error('Username already exists');
-        }
+    async verifyPassword(password, stored) {
+        if (!stored || stored.algorithm !== this.passwordAlgorithm) return false;
+        const { hash } = await this.hashPassword(password, this.fromBase64(stored.salt), stored.iterations);
+        return hash === stored.hash;
+    }
 
-        const userData = {
-            username,
-            displayName,
-            passwordHash: this.hashPassword(password)
-        };
+    async createVault(password) {
+        const key = await crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']
+        );
+        return { key, vault: await this.wrapVaultKey(key, password) };
+    }
 
-        const success = this.storage.addUser(userData);
-        if (success) {
-            return this.login(username, password);
-        } else {
-            throw new Error('Failed to create account');
-        }
+    // Returns the vault descriptor stored on the user record
+    async wrapVaultKey(key, password, iterations = this.iterations) {
+        const salt = this.randomBytes(16);
+        const iv = this.randomBytes(12);
+        const wrappingKey = await this.deriveKey(password, salt, iterations);
+        const wrappedKey = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+        return {
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.toBase64(salt) },
+            iv: this.toBase64(iv),
+            wrappedKey: this.toBase64(wrappedKey)
+        };
     }
 
-    login(username, password) {
-        if (!username || !password) {
-            throw new Error('Username and password are required');
-        }
+    async unwrapVaultKey(vault, password) {
+        const wrappingKey = await this.deriveKey(
+            password, this.fromBase64(vault.kdf.salt), vault.kdf.iterations
+        );
+        return crypto.subtle.unwrapKey(
+            'raw',
+            this.fromBase64(vault.wrappedKey),
+            wrappingKey,
+            { name: 'AES-GCM', iv: this.fromBase64(vault.iv) },
+            { name: 'AES-GCM' },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
 
-        const user = this.storage.getUser(username);
-        if (!user) {
-            throw new Error('Invalid username or password');
-        }
+    // `context` is bound to the ciphertext so a sealed record can't be
+    // passed off as another one
+    async encrypt(key, value, context) {
+        const iv = this.randomBytes(12);
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.encoder.encode(context) },
+            key,
+            this.encoder.encode(JSON.stringify(value))
+        );
+        return { iv: this.toBase64(iv), data: this.toBase64(data) };
+    }
 
-        const passwordHash = this.hashPassword(password);
-        if (user.passwordHash !== passwordHash) {
-            throw new Error('Invalid username or password');
-        }
+    async decrypt(key, sealed, context) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(sealed.iv), additionalData: this.encoder.encode(context) },
+            key,
+            this.fromBase64(sealed.data)
+        );
+        return JSON.parse(this.decoder.decode(data));
+    }
+}
 
-        this.currentSession = username;
-        this.storage.setCurrentUser(username);
-        return true;
+// Recurrence Rule System
+// Works out the dates a recurring task falls on. A series is a task with a
+// `recurrence` rule and starts on the task's own date:
+//   { frequency: 'daily' | 'weekdays' | 'weekly' | 'monthly', interval,
+//     weekdays: [0-6] (weekly), monthlyBy: 'date' | 'weekday' (monthly),
+//     end: { type: 'never' | 'count' | 'date', count, until },
+//     exceptions: [dates left out of the series] }
+// All dates are YYYY-MM-DD strings and are worked on in UTC.
+class RecurrenceRules {
+    constructor() {
+        this.frequencies = ['daily', 'weekdays', 'weekly', 'monthly'];
+        this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.ordinals = ['1st', '2nd', '3rd', '4th', 'last'];
+        // Fields of a series that its occurrences don't inherit
+        this.seriesOnlyFields = ['id', 'recurrence', 'createdAt', 'updatedAt', 'revision', 'completed', 'completedAt'];
     }
 
-    logout() {
-        this.currentSession = null;
-        this.storage.setCurrentUser(null);
-        return true;
+    toDate(date) {
+        return new Date(`${date}T00:00:00Z`);
     }
 
-    isLoggedIn() {
-        return this.currentSession !== null;
+    formatDate(date) {
+        return date.toISOString().split('T')[0];
     }
 
-    getCurrentUserData() {
-        if (!this.currentSession) return null;
-        return this.storage.getUser(this.currentSession);
+    addDays(date, days) {
+        const result = this.toDate(date);
+        result.setUTCDate(result.getUTCDate() + days);
+        return this.formatDate(result);
     }
-}
 
-// Task Management System
-class TaskManager {
-    constructor(storageManager) {
-        this.storage = storageManager;
-        this.currentFilter = { priority: 'all', status: 'all' };
-        this.init();
+    daysBetween(from, to) {
+        return Math.round((this.toDate(to) - this.toDate(from)) / (24 * 60 * 60 * 1000));
     }
 
-    init() {
-        this.renderTasks();
-        this.updateStats();
-        this.setupEventListeners();
+    // Fills in defaults so rules from older backups or other devices can't
+    // break the date calculations
+    normalize(rule) {
+        const end = rule.end || {};
+        return {
+            frequency: this.frequencies.includes(rule.frequency) ? rule.frequency : 'daily',
+            interval: Math.min(Math.max(parseInt(rule.interval, 10) || 1, 1), 99),
+            weekdays: [...new Set((rule.weekdays || []).map(Number))]
+                .filter(day => day >= 0 && day <= 6)
+                .sort((a, b) => a - b),
+            monthlyBy: rule.monthlyBy === 'weekday' ? 'weekday' : 'date',
+            end: {
+                type: ['count', 'date'].includes(end.type) ? end.type : 'never',
+                count: Math.max(parseInt(end.count, 10) || 1, 1),
+                until: end.until || null
+            },
+            exceptions: Array.isArray(rule.exceptions) ? rule.exceptions : []
+        };
     }
 
-    setupEventListeners() {
-        // Add task form
-        const addTaskForm = document.getElementById('addTaskForm');
-        if (addTaskForm) {
-            addTaskForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleAddTask();
-            });
+    // Returns an error message, or null when the rule can be saved
+    validate(rule, startDate) {
+        const interval = Number(rule.interval);
+        if (!this.frequencies.includes(rule.frequency)) {
+            return 'Please choose how often the task repeats';
         }
 
-        // Edit task form
-        const editTaskForm = document.getElementById('editTaskForm');
-        if (editTaskForm) {
-            editTaskForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleEditTask();
-            });
+        if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+            return 'Repeat interval must be a whole number from 1 to 99';
         }
 
-        // Set default date to today
-        const taskDateInput = document.getElementById('taskDate');
-        if (taskDateInput) {
-            taskDateInput.value = new Date().toISOString().split('T')[0];
+        if (rule.frequency === 'weekly' && (!rule.weekdays || rule.weekdays.length === 0)) {
+            return 'Choose at least one day of the week to repeat on';
         }
-    }
-
-    handleAddTask() {
-        const title = document.getElementById('taskTitle').value.trim();
-        const description = document.getElementById('taskDescription').value.trim();
-        const priority = document.getElementById('taskPriority').value;
-        const date = document.getElementById('taskDate').value;
-        const startTime = document.getElementById('taskStartTime').value;
-        const endTime = document.getElementById('taskEndTime').value;
 
-        if (!title || !date || !startTime || !endTime) {
-            alert('Please fill in all required fields');
-            return;
+        const end = rule.end || {};
+        if (end.type === 'count') {
+            const count = Number(end.count);
+            if (!Number.isInteger(count) || count < 1 || count > 999) {
+                return 'A series can end after 1 to 999 occurrences';
+            }
         }
 
-        // Validate time
-        if (startTime >= endTime) {
-            alert('End time must be after start time');
-            return;
+        if (end.type === 'date' && (!end.until || end.until < startDate)) {
+            return 'The repeat end date must be on or after the task date';
         }
 
-        const task = {
-            title,
-            description,
-            priority,
-            date,
-            startTime,
-            endTime
-        };
+        return null;
+    }
 
-        const newTask = this.storage.addTask(task);
-        if (newTask) {
-            this.renderTasks();
-            this.updateStats();
-            this.closeAddTaskModal();
-            
-            // Schedule notifications
-            if (window.notificationManager) {
-                window.notificationManager.scheduleTaskNotifications(newTask);
-            }
+    // Every date the rule produces from `start` on, in order and without end
+    *iterate(rule, start) {
+        const first = this.toDate(start);
 
-            // Update charts
-            if (window.chartManager) {
-                window.chartManager.updateCharts();
+        if (rule.frequency === 'daily') {
+            for (let offset = 0; ; offset += rule.interval) {
+                yield this.addDays(start, offset);
             }
-
-            // Check for badges
-            if (window.badgeManager) {
-                window.badgeManager.checkAllBadges();
+        } else if (rule.frequency === 'weekdays') {
+            for (let offset = 0; ; offset++) {
+                const date = this.addDays(start, offset);
+                const day = this.toDate(date).getUTCDay();
+                if (day > 0 && day < 6) yield date;
+            }
+        } else if (rule.frequency === 'weekly') {
+            const weekdays = rule.weekdays.length > 0 ? rule.weekdays : [first.getUTCDay()];
+            const weekStart = this.addDays(start, -first.getUTCDay());
+            for (let week = 0; ; week += rule.interval) {
+                for (const day of weekdays) {
+                    const date = this.addDays(weekStart, week * 7 + day);
+                    if (date >= start) yield date;
+                }
+            }
+        } else {
+            const nth = Math.ceil(first.getUTCDate() / 7);
+            for (let month = 0; ; month += rule.interval) {
+                const year = first.getUTCFullYear();
+                const monthIndex = first.getUTCMonth() + month;
+                const date = rule.monthlyBy === 'weekday'
+                    ? this.getNthWeekday(year, monthIndex, first.getUTCDay(), nth)
+                    : this.getDayOfMonth(year, monthIndex, first.getUTCDate());
+                // Months without the day (e.g. the 31st) are skipped
+                if (date && date >= start) yield date;
             }
         }
     }
 
-    handleEditTask() {
-        const taskId = document.getElementById('editTaskId').value;
-        const title = document.getElementById('editTaskTitle').value.trim();
-        const description = document.getElementById('editTaskDescription').value.trim();
-        const priority = document.getElementById('editTaskPriority').value;
-        const date = document.getElementById('editTaskDate').value;
-        const startTime = document.getElementById('editTaskStartTime').value;
-        const endTime = document.getElementById('editTaskEndTime').value;
+    getDayOfMonth(year, month, day) {
+        const date = new Date(Date.UTC(year, month, day));
+        return date.getUTCDate() === day ? this.formatDate(date) : null;
+    }
 
-        if (!title || !date || !startTime || !endTime) {
-            alert('Please fill in all required fields');
-            return;
+    // A fifth weekday is treated as the last one, which every month has
+    getNthWeekday(year, month, weekday, nth) {
+        if (nth >= 5) {
+            const last = new Date(Date.UTC(year, month + 1, 0));
+            last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+            return this.formatDate(last);
         }
 
-        if (startTime >= endTime) {
-            alert('End time must be after start time');
-            return;
+        const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        return this.formatDate(new Date(Date.UTC(year, month, 1 + ((weekday - firstDay + 7) % 7) + (nth - 1) * 7)));
+    }
+
+    // Calls `callback(date)` for each occurrence up to `to`, including
+    // exceptions, which still count towards `end.count`
+    forEachDate(series, to, callback) {
+        const rule = this.normalize(series.recurrence);
+        let count = 0;
+        for (const date of this.iterate(rule, series.date)) {
+            if (date > to) break;
+            if (rule.end.type === 'date' && date > rule.end.until) break;
+            if (rule.end.type === 'count' && count >= rule.end.count) break;
+            count++;
+            callback(date, rule);
         }
+        return count;
+    }
 
-        const updates = {
-            title,
-            description,
-            priority,
+    // Occurrence dates of a series between `from` and `to`, inclusive
+    getDates(series, from, to) {
+        const dates = [];
+        this.forEachDate(series, to, (date, rule) => {
+            if (date >= from && !rule.exceptions.includes(date)) {
+                dates.push(date);
+            }
+        });
+        return dates;
+    }
+
+    // How many occurrences come before `date`
+    countBefore(series, date) {
+        return this.forEachDate(series, this.addDays(date, -1), () => {});
+    }
+
+    createOccurrence(series, date) {
+        const occurrence = { ...series };
+        this.seriesOnlyFields.forEach(field => delete occurrence[field]);
+        return {
+            ...occurrence,
+            id: `${series.id}@${date}`,
+            seriesId: series.id,
+            occurrenceDate: date,
             date,
-            startTime,
-            endTime
+            completed: false,
+            virtual: true
         };
+    }
 
-        const updatedTask = this.storage.updateTask(taskId, updates);
-        if (updatedTask) {
-            this.renderTasks();
-            this.updateStats();
-            this.closeEditTaskModal();
-            
-            // Update notifications
-            if (window.notificationManager) {
-                window.notificationManager.cancelTaskNotifications(taskId);
-                window.notificationManager.scheduleTaskNotifications(updatedTask);
-            }
+    // "day 15" or "the 3rd Tuesday" for a monthly series starting on `date`
+    describeMonthlyDay(monthlyBy, date) {
+        const start = this.toDate(date);
+        if (monthlyBy === 'weekday') {
+            const nth = Math.min(Math.ceil(start.getUTCDate() / 7), 5);
+            const dayName = start.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+            return `the ${this.ordinals[nth - 1]} ${dayName}`;
+        }
+        return `day ${start.getUTCDate()}`;
+    }
 
-            // Update charts
-            if (window.chartManager) {
-                window.chartManager.updateCharts();
-            }
+    describe(rule, startDate) {
+        rule = this.normalize(rule);
+        let text;
+        if (rule.frequency === 'daily') {
+            text = rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+        } else if (rule.frequency === 'weekdays') {
+            text = 'Every weekday';
+        } else if (rule.frequency === 'weekly') {
+            const weekdays = rule.weekdays.length > 0 ? rule.weekdays : [this.toDate(startDate).getUTCDay()];
+            const days = weekdays.map(day => this.dayNames[day]).join(', ');
+            text = rule.interval === 1 ? `Weekly on ${days}` : `Every ${rule.interval} weeks on ${days}`;
+        } else {
+            text = `${rule.interval === 1 ? 'Monthly' : `Every ${rule.interval} months`} on ${this.describeMonthlyDay(rule.monthlyBy, startDate)}`;
+        }
+
+        if (rule.end.type === 'count') {
+            text += `, ${rule.end.count} time${rule.end.count === 1 ? '' : 's'}`;
+        } else if (rule.end.type === 'date') {
+            text += `, until ${this.toDate(rule.end.until).toLocaleDateString(undefined, { timeZone: 'UTC' })}`;
         }
+        return text;
     }
+}
 
-    renderTasks() {
-        const container = document.getElementById('tasksContainer');
-        if (!container) return;
+// Task Search System
+// An inverted index from words to task ids, kept in step with every saved
+// change so a search never has to read each task's text. Queries combine
+// words (all must match, each as a word prefix) with operators such as
+// `priority:high`, `is:done` or `before:2026-10-01`.
+class TaskSearchIndex {
+    constructor() {
+        this.source = null;
+        this.entries = new Map();
+        this.words = new Map();
+        this.operators = this.initializeOperators();
+    }
 
-        const tasks = this.getFilteredTasks();
-        const rollingWindowTasks = this.getRollingWindowTasks(tasks);
+    // Each operator turns its value into a task predicate, or returns null
+    // for a value it doesn't understand, which is then searched as text
+    initializeOperators() {
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const states = {
+            done: task => task.completed,
+            completed: task => task.completed,
+            pending: task => !task.completed,
+            open: task => !task.completed,
+            overdue: task => !task.completed && task.date < new Date().toISOString().split('T')[0],
+            archived: task => Boolean(task.archivedAt),
+            recurring: task => Boolean(task.seriesId)
+        };
 
-        if (rollingWindowTasks.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-calendar-plus"></i>
-                    <h3>No tasks found</h3>
-                    <p>Add your first task to get started!</p>
-                </div>
-            `;
-            return;
-        }
+        return {
+            priority: value => ['high', 'medium', 'low'].includes(value) ? task => task.priority === value : null,
+            is: value => states[value] || null,
+            before: value => isDate(value) ? task => task.date < value : null,
+            after: value => isDate(value) ? task => task.date > value : null,
+            on: value => isDate(value) ? task => task.date === value : null,
+            tag: value => {
+                const [tag] = parseTags(value);
+                return tag ? task => (task.tags || []).includes(tag) : null;
+            },
+            project: value => value ? task => (task.project || '').toLowerCase() === value : null
+        };
+    }
 
-        // Group tasks by date
-        const groupedTasks = this.groupTasksByDate(rollingWindowTasks);
-        
-        container.innerHTML = Object.keys(groupedTasks)
-            .sort()
-            .map(date => this.renderDateGroup(date, groupedTasks[date]))
-            .join('');
+    tokenize(text) {
+        return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
     }
 
-    getRollingWindowTasks(tasks) {
-        const today = new Date();
-        const startDate = new Date(today);
-        startDate.setDate(today.getDate() - 7);
-        const endDate = new Date(today);
-        endDate.setDate(today.getDate() + 7);
+    getTaskText(task) {
+        return [task.title, task.description].join(' ');
+    }
 
-        return tasks.filter(task => {
-            const taskDate = new Date(task.date);
-            return taskDate >= startDate && taskDate <= endDate;
+    // Any other array than the one indexed (a fresh load, an opened vault)
+    // is indexed from scratch
+    rebuild(tasks) {
+        this.source = tasks;
+        this.entries.clear();
+        this.words.clear();
+        tasks.forEach(task => this.indexTask(task));
+    }
+
+    indexTask(task) {
+        this.removeTask(task.id);
+        const words = new Set(this.tokenize(this.getTaskText(task)));
+        this.entries.set(task.id, words);
+        words.forEach(word => {
+            if (!this.words.has(word)) this.words.set(word, new Set());
+            this.words.get(word).add(task.id);
         });
     }
 
-    groupTasksByDate(tasks) {
-        return tasks.reduce((groups, task) => {
-            const date = task.date;
-            if (!groups[date]) {
-                groups[date] = [];
-            }
-            groups[date].push(task);
-            return groups;
-        }, {});
+    removeTask(taskId) {
+        const words = this.entries.get(taskId);
+        if (!words) return;
+
+        words.forEach(word => {
+            const ids = this.words.get(word);
+            ids.delete(taskId);
+            if (ids.size === 0) this.words.delete(word);
+        });
+        this.entries.delete(taskId);
     }
 
-    renderDateGroup(date, tasks) {
-        const dateObj = new Date(date);
-        const today = new Date().toISOString().split('T')[0];
-        const isToday = date === today;
-        const isPast = date < today;
-        const isFuture = date > today;
+    // Takes the same record changes StorageManager saves; null means the
+    // whole data object changed
+    applyChanges(tasks, changes) {
+        if (!changes || tasks !== this.source) {
+            this.rebuild(tasks);
+            return;
+        }
 
-        let dateLabel = dateObj.toLocaleDateString('en-US', { 
-            weekday: 'long', 
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric' 
+        const taskChanges = changes.filter(change => change.store === 'tasks');
+        if (taskChanges.length === 0) return;
+
+        const tasksById = new Map(tasks.map(task => [task.id, task]));
+        taskChanges.forEach(change => {
+            const taskId = change.op === 'put' ? change.value.id : change.key;
+            const task = tasksById.get(taskId);
+            if (task) {
+                this.indexTask(task);
+            } else {
+                this.removeTask(taskId);
+            }
         });
+    }
 
-        if (isToday) dateLabel += ' (Today)';
-        else if (isPast) dateLabel += ' (Past)';
-        else if (isFuture) dateLabel += ' (Upcoming)';
+    // Splits a query into words and operator predicates. Operator values
+    // may be quoted: project:"Home office"
+    parseQuery(query) {
+        const parsed = { terms: [], filters: [] };
+        const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(String(query || ''))) !== null) {
+            const [text, name, quotedValue, value, phrase, word] = match;
+            const operator = name && this.operators[name.toLowerCase()];
+            const filter = operator && operator((quotedValue !== undefined ? quotedValue : value).trim().toLowerCase());
+            if (filter) {
+                parsed.filters.push(filter);
+            } else {
+                parsed.terms.push(...this.tokenize(phrase !== undefined ? phrase : word || text));
+            }
+        }
+        return parsed;
+    }
 
-        const sortedTasks = tasks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+    // Ids of the tasks containing every term as the start of a word
+    matchTerms(tasks, terms) {
+        if (tasks !== this.source) {
+            this.rebuild(tasks);
+        }
 
-        return `
-            <div class="date-group">
-                <h3 class="date-header ${isToday ? 'today' : isPast ? 'past' : 'future'}">
-                    <i class="fas fa-calendar-day"></i>
-                    ${dateLabel}
-                </h3>
-                <div class="date-tasks">
-                    ${sortedTasks.map(task => this.createTaskCard(task)).join('')}
-                </div>
-            </div>
-        `;
+        let matches = null;
+        for (const term of new Set(terms)) {
+            const ids = new Set();
+            this.words.forEach((wordIds, word) => {
+                if (word.startsWith(term)) wordIds.forEach(id => ids.add(id));
+            });
+            matches = matches ? new Set([...matches].filter(id => ids.has(id))) : ids;
+            if (matches.size === 0) break;
+        }
+        return matches;
     }
+}
 
-    createTaskCard(task) {
-        const priorityIcon = {
-            high: '🔴',
-            medium: '🟡',
-            low: '🟢'
-        };
+// Storage Management System
+class StorageManager {
+    constructor(adapter = null) {
+        this.storageKey = 'missionMonitorData';
+        this.adapter = adapter;
+        this.migrator = new SchemaMigrator();
+        this.data = null;
+        this.pendingWrite = Promise.resolve(true);
+        this.sealedWrite = Promise.resolve(true);
+        this.changeListeners = [];
+        this.writeErrorListeners = [];
+        this.settingsSchema = this.initializeSettingsSchema();
+        this.vaultCrypto = new VaultCrypto();
+        this.recurrence = new RecurrenceRules();
+        this.searchIndex = new TaskSearchIndex();
+        this.vaultKeys = new Map();
+        this.snapshotLimit = 10;
+        this.ready = this.init();
+    }
 
-        const timeRange = `${this.formatTime(task.startTime)} - ${this.formatTime(task.endTime)}`;
-        const isOverdue = this.isTaskOverdue(task);
+    async init() {
+        if (!this.adapter) {
+            this.adapter = await this.selectAdapter();
+        }
 
-        return `
-            <div class="task-card ${task.completed ? 'completed' : ''} ${isOverdue ? 'overdue' : ''}" 
-                 data-task-id="${task.id}">
-                <div class="task-priority ${task.priority}"></div>
-                <div class="task-header">
-                    <div>
-                        <h3 class="task-title">${task.title}</h3>
-                        ${task.description ? `<p class="task-description">${task.description}</p>` : ''}
-                    </div>
-                    <span class="priority-badge">${priorityIcon[task.priority]}</span>
-                </div>
-                <div class="task-meta">
-                    <div class="task-date">
-                        <i class="fas fa-calendar"></i>
-                        <span>${new Date(task.date).toLocaleDateString()}</span>
-                    </div>
-                    <div class="task-time">
-                        <i class="fas fa-clock"></i>
-                        <span>${timeRange}</span>
-                    </div>
-                </div>
-                <div class="task-actions">
-                    ${!task.completed ? `
-                        <button class="task-btn complete-btn" onclick="completeTask('${task.id}')">
-                            <i class="fas fa-check"></i> Complete
-                        </button>
-                    ` : `
-                        <span class="completed-badge">
-                            <i class="fas fa-check-circle"></i> Completed
-                        </span>
-                    `}
-                    <button class="task-btn edit-btn" onclick="editTask('${task.id}')">
-                        <i class="fas fa-edit"></i> Edit
-                    </button>
-                    <button class="task-btn delete-btn" onclick="deleteTask('${task.id}')">
-                        <i class="fas fa-trash"></i> Delete
-                    </button>
-                </div>
-            </div>
-        `;
-    }
+        let data;
+        try {
+            data = await this.adapter.load();
+            if (!data && this.adapter.name === 'indexedDB') {
+                data = await this.migrateFromLocalStorage();
+            }
+        } catch (error) {
+            console.error('Error loading storage data, falling back to localStorage:', error);
+            this.adapter = new LocalStorageAdapter(this.storageKey);
+            data = await this.adapter.load();
+        }
 
-    isTaskOverdue(task) {
-        if (task.completed) return false;
-        const now = new Date();
-        const taskEnd = new Date(`${task.date}T${task.endTime}`);
-        return taskEnd < now;
-    }
+        // Unreadable data is recovered from the last pre-migration backup
+        // rather than silently replaced with an empty store
+        if (!data) {
+            data = await this.adapter.loadBackup();
+            if (data) {
+                console.warn('Storage data unreadable, restored pre-migration backup');
+            }
+        }
 
-    formatTime(time) {
-        return new Date(`2000-01-01T${time}`).toLocaleTimeString([], {
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+        if (data) {
+            this.data = await this.runMigrations(data);
+        } else {
+            this.initializeStorage();
+        }
+        await this.pendingWrite;
     }
 
-    getFilteredTasks() {
-        let tasks = this.storage.getTasks();
+    async runMigrations(data) {
+        if (!this.migrator.needsMigration(data)) {
+            return data;
+        }
 
-        // Filter by priority
-        if (this.currentFilter.priority !== 'all') {
-            tasks = tasks.filter(task => task.priority === this.currentFilter.priority);
+        await this.adapter.saveBackup(data);
+        try {
+            const migrated = this.migrator.migrate(data);
+            if (!this.saveData(migrated) || await this.pendingWrite === false) {
+                throw new Error('Could not persist migrated data');
+            }
+            console.log(`Migrated data to schema version ${migrated.version}`);
+            return migrated;
+        } catch (error) {
+            console.error('Schema migration failed, restoring pre-migration backup:', error);
+            const backup = await this.adapter.loadBackup();
+            this.saveData(backup);
+            return backup;
         }
+    }
 
-        // Filter by status
-        if (this.currentFilter.status !== 'all') {
-            if (this.currentFilter.status === 'completed') {
-                tasks = tasks.filter(task => task.completed);
-            } else if (this.currentFilter.status === 'pending') {
-                tasks = tasks.filter(task => !task.completed);
+    async selectAdapter() {
+        if (typeof indexedDB !== 'undefined') {
+            const adapter = new IndexedDBAdapter();
+            adapter.onBlocked = () => {
+                const message = document.querySelector('#loadingScreen p');
+                if (message) {
+                    message.textContent = 'Mission Monitor is open in another tab running an older version. Close or reload that tab to continue.';
+                }
+            };
+            // This tab's connection is gone, so nothing it changes is saved
+            adapter.onVersionChange = () => {
+                alert('Mission Monitor was updated in another tab. Reload this tab to keep working.');
+            };
+            try {
+                await adapter.open();
+                return adapter;
+            } catch (error) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error);
             }
         }
+        return new LocalStorageAdapter(this.storageKey);
+    }
 
-        return tasks;
+    async migrateFromLocalStorage() {
+        const legacyAdapter = new LocalStorageAdapter(this.storageKey);
+        const legacyData = await legacyAdapter.load();
+        if (!legacyData) return null;
+
+        await this.adapter.write(legacyData);
+        localStorage.removeItem(this.storageKey);
+        console.log('Migrated localStorage data to IndexedDB');
+        return legacyData;
     }
 
-    updateStats() {
-        const stats = this.storage.getTaskStats();
-        
-        document.getElementById('totalTasks').textContent = stats.total;
-        document.getElementById('completedTasks').textContent = stats.completed;
-        document.getElementById('pendingTasks').textContent = stats.pending;
-        document.getElementById('totalBadges').textContent = this.storage.getBadges().length;
+    initializeStorage() {
+        const initialData = {
+            version: this.migrator.currentVersion,
+            users: {},
+            currentUser: null,
+            tasks: [],
+            badges: []
+        };
+        this.saveData(initialData);
     }
 
-    completeTask(taskId) {
-        const task = this.storage.completeTask(taskId);
-        if (task) {
-            this.renderTasks();
-            this.updateStats();
-            
-            // Show completion notification
-            if (window.notificationManager) {
-                window.notificationManager.showTaskCompletedNotification(task);
-            }
+    getData() {
+        return this.data || {};
+    }
 
-            // Update charts
-            if (window.chartManager) {
-                window.chartManager.updateCharts();
+    // `changes` lists the records touched ({ store, op, value | key }) so
+    // record-oriented adapters can skip rewriting everything; omit it to
+    // persist the whole data object. `options.fromSync` marks records that
+    // came from the sync server and `options.storageOnly` records that are
+    // only being stored differently; both keep their revision.
+    saveData(data, changes = null, options = {}) {
+        this.data = data;
+        this.searchIndex.applyChanges(data.tasks || [], changes);
+        try {
+            if (changes && !options.fromSync && !options.storageOnly) {
+                this.stampChanges(data, changes);
             }
+            const pending = this.writeData(data, changes);
+            if (pending) {
+                this.pendingWrite = pending.catch(error => {
+                    this.handleWriteError(error);
+                    return false;
+                });
+            }
+            this.notifyChange(changes, options);
+            return true;
+        } catch (error) {
+            this.handleWriteError(error);
+            return false;
+        }
+    }
 
-            // Check for badges
-            if (window.badgeManager) {
-                window.badgeManager.checkAllBadges();
-                window.badgeManager.checkDailyCompletionBadge();
+    // The cache already holds the change that failed to save. Reloading
+    // what was last stored rolls it back, and the UI re-renders the same
+    // way it does for changes made in another tab.
+    handleWriteError(error) {
+        console.error('Error saving data:', error);
+        this.writeErrorListeners.forEach(listener => listener(error));
+        this.applyRemoteChanges(null).catch(loadError => {
+            console.error('Error reloading data after a failed write:', loadError);
+        });
+    }
+
+    onWriteError(listener) {
+        this.writeErrorListeners.push(listener);
+    }
+
+    isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
+    // Usage against the quota, or null when the browser can't tell.
+    // localStorage has its own fixed limit (about 5 MB in most browsers)
+    // that navigator.storage.estimate() doesn't cover, so it is measured.
+    async getStorageEstimate() {
+        if (this.adapter.name === 'localStorage') {
+            let usage = 0;
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
             }
+            return { usage, quota: 5 * 1024 * 1024, measured: true };
+        }
 
-            // Cancel notifications for completed task
-            if (window.notificationManager) {
-                window.notificationManager.cancelTaskNotifications(taskId);
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            if (quota) {
+                return { usage, quota, measured: false };
             }
         }
+        return null;
     }
 
-    editTask(taskId) {
-        const tasks = this.storage.getTasks();
-        const task = tasks.find(t => t.id === taskId);
-        if (!task) return;
+    // Every local edit of a task, badge or a user's settings bumps its
+    // revision, which is how sync tells records edited on two devices apart
+    stampChanges(data, changes) {
+        const now = new Date().toISOString();
+        changes.forEach(change => {
+            if (change.op === 'delete') return;
+
+            if (change.store === 'users') {
+                const settings = change.op === 'patch' && change.value.settings;
+                if (settings) {
+                    settings.revision = (settings.revision || 0) + 1;
+                    settings.updatedAt = now;
+                }
+                return;
+            }
+            if (change.store !== 'tasks' && change.store !== 'badges') return;
 
-        // Populate edit form
-        document.getElementById('editTaskId').value = task.id;
-        document.getElementById('editTaskTitle').value = task.title;
-        document.getElementById('editTaskDescription').value = task.description || '';
-        document.getElementById('editTaskPriority').value = task.priority;
-        document.getElementById('editTaskDate').value = task.date;
-        document.getElementById('editTaskStartTime').value = task.startTime;
-        document.getElementById('editTaskEndTime').value = task.endTime;
+            const key = change.op === 'put'
+                ? getRecordKey(change.store, change.value)
+                : change.key;
+            const record = data[change.store].find(item =>
+                isSameRecordKey(getRecordKey(change.store, item), key)
+            );
+            const stamp = {
+                revision: ((record || change.value).revision || 0) + 1,
+                updatedAt: change.value.updatedAt || now
+            };
+            if (record) Object.assign(record, stamp);
+            Object.assign(change.value, stamp);
+        });
+    }
 
-        // Show modal
-        document.getElementById('editTaskModal').style.display = 'block';
+    // Listeners hear about every successful local write once it has been
+    // committed; `changes` is null when the whole data object was rewritten
+    onChange(listener) {
+        this.changeListeners.push(listener);
     }
 
-    deleteTask(taskId) {
-        if (confirm('Are you sure you want to delete this task?')) {
-            const success = this.storage.deleteTask(taskId);
-            if (success) {
-                this.renderTasks();
-                this.updateStats();
-                
-                // Cancel notifications
-                if (window.notificationManager) {
-                    window.notificationManager.cancelTaskNotifications(taskId);
-                }
+    notifyChange(changes, options = {}) {
+        this.pendingWrite.then(saved => {
+            if (saved === false) return;
+            this.changeListeners.forEach(listener => listener(changes, options));
+        });
+    }
 
-                // Update charts
-                if (window.chartManager) {
-                    window.chartManager.updateCharts();
+    async applyRemoteChanges(changes) {
+        if (changes) {
+            applyRecordChanges(this.data, changes);
+            this.searchIndex.applyChanges(this.data.tasks, changes);
+        } else {
+            const data = await this.adapter.load();
+            if (data) {
+                for (const [username, key] of this.vaultKeys) {
+                    await this.openRecords(data, username, key);
                 }
+                this.data = data;
             }
         }
-    }
 
-    setFilter(filterType, value) {
-        this.currentFilter[filterType] = value;
-        this.renderTasks();
+        document.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: { changes, remote: true }
+        }));
     }
 
-    closeAddTaskModal() {
-        document.getElementById('addTaskModal').style.display = 'none';
-        document.getElementById('addTaskForm').reset();
-        // Reset date to today
-        document.getElementById('taskDate').value = new Date().toISOString().split('T')[0];
-    }
+    // Writes records pulled from the sync server as they are, replacing the
+    // local copies, and lets the UI refresh like it does for other tabs
+    applySyncChanges(changes) {
+        const data = this.getData();
+        changes.forEach(change => {
+            if (change.op !== 'put' || change.store === 'meta') return;
+            const key = getRecordKey(change.store, change.value);
+            data[change.store] = data[change.store].filter(record =>
+                !isSameRecordKey(getRecordKey(change.store, record), key)
+            );
+        });
+        applyRecordChanges(data, changes);
+        const saved = this.saveData(data, changes, { fromSync: true });
 
-    closeEditTaskModal() {
-        document.getElementById('editTaskModal').style.display = 'none';
-        document.getElementById('editTaskForm').reset();
+        document.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: { changes, remote: true }
+        }));
+        return saved;
     }
-}
 
-// Motivational Quotes System
-class QuotesManager {
-    constructor() {
-        this.quotes = [
-            "The only way to do great work is to love what you do. - Steve Jobs",
-            "Life is what happens to you while you're busy making other plans. - John Lennon",
-            "The future belongs to those who believe in the beauty of their dreams. - Eleanor Roosevelt",
-            "It is during our darkest moments that we must focus to see the light. - Aristotle",
-            "The only impossible journey is the one you never begin. - Tony Robbins",
-            "Success is not final, failure is not fatal: it is the courage to continue that counts. - Winston Churchill",
-            "The way to get started is to quit talking and begin doing. - Walt Disney",
-            "Don't let yesterday take up too much of today. - Will Rogers",
-            "You learn more from failure than from success. Don't let it stop you. Failure builds character. - Unknown",
-            "It's not whether you get knocked down, it's whether you get up. - Vince Lombardi",
-            "If you are working on something that you really care about, you don't have to be pushed. The vision pulls you. - Steve Jobs",
-            "People who are crazy enough to think they can change the world, are the ones who do. - Rob Siltanen",
-            "Failure will never overtake me if my determination to succeed is strong enough. - Og Mandino",
-            "We don't have to be smarter than the rest. We have to be more disciplined than the rest. - Warren Buffett",
-            "How wonderful it is that nobody need wait a single moment before starting to improve the world. - Anne Frank",
-            "Whether you think you can or you think you can't, you're right. - Henry Ford",
-            "The only person you are destined to become is the person you decide to be. - Ralph Waldo Emerson",
-            "Go confidently in the direction of your dreams. Live the life you have imagined. - Henry David Thoreau",
-            "Believe you can and you're halfway there. - Theodore Roosevelt",
-            "The best time to plant a tree was 20 years ago. The second best time is now. - Chinese Proverb"
-        ];
-        this.init();
+    putChange(store, value) {
+        return { store, op: 'put', value };
     }
 
-    init() {
-        this.displayQuote();
+    patchChange(store, key, value) {
+        return { store, op: 'patch', key, value };
     }
 
-    displayQuote() {
-        const quoteElement = document.getElementById('quoteText');
-        const authorElement = document.getElementById('quoteAuthor');
-        
-        if (!quoteElement || !authorElement) return;
+    deleteChange(store, key) {
+        return { store, op: 'delete', key };
+    }
 
-        const randomQuote = this.getRandomQuote();
-        const [text, author] = randomQuote.split(' - ');
-        
-        quoteElement.textContent = text;
-        authorElement.textContent = `- ${author}`;
+    metaChange(data, key) {
+        return this.putChange('meta', { key, value: data[key] });
     }
 
-    getRandomQuote() {
-        return this.quotes[Math.floor(Math.random() * this.quotes.length)];
+    // Vault
+    // Tasks, badges and sync state of users with a vault are stored sealed
+    // with their data key; decrypted copies only live in memory while the
+    // vault is open.
+    hasVault(username) {
+        const user = this.getUser(username);
+        return Boolean(user && user.vault);
     }
-}
 
-// Notification Management System
-class NotificationManager {
-    constructor(storageManager) {
-        this.storage = storageManager;
-        this.scheduledNotifications = new Map();
-        this.permissionGranted = false;
-        this.init();
+    isVaultLocked(username) {
+        return this.hasVault(username) && !this.vaultKeys.has(username);
     }
 
-    async init() {
-        if ('Notification' in window) {
-            const permission = await Notification.requestPermission();
-            this.permissionGranted = permission === 'granted';
-            
-            if (this.permissionGranted) {
-                console.log('Notification permission granted');
-                this.scheduleAllTaskNotifications();
-            } else {
-                console.log('Notification permission denied');
-            }
+    getRecordOwner(data, change) {
+        if (change.store === 'badges') {
+            return change.op === 'put' ? change.value.userId : change.key[0];
         }
-
-        if ('serviceWorker' in navigator) {
-            this.registerServiceWorker();
+        if (change.store === 'tasks') {
+            if (change.op === 'put') return change.value.userId;
+            const task = data.tasks.find(t => t.id === change.key);
+            return task ? task.userId : null;
         }
+        return null;
     }
 
-    async registerServiceWorker() {
-        try {
-            const swCode = `
-                self.addEventListener('notificationclick', function(event) {
-                    event.notification.close();
-                    event.waitUntil(
-                        clients.openWindow('/')
-                    );
-                });
-            `;
-            
-            const blob = new Blob([swCode], { type: 'application/javascript' });
-            const swUrl = URL.createObjectURL(blob);
-            
-            await navigator.serviceWorker.register(swUrl);
-            console.log('Service Worker registered for notifications');
-        } catch (error) {
-            console.log('Service Worker registration failed:', error);
+    isVaultChange(data, change) {
+        if (change.store === 'meta') {
+            return change.value.key === 'sync' &&
+                Object.keys(change.value.value || {}).some(username => this.vaultKeys.has(username));
         }
+        return change.op !== 'delete' && this.vaultKeys.has(this.getRecordOwner(data, change));
     }
 
-    showNotification(title, body, icon = '🚀', tag = null) {
-        if (!this.permissionGranted) {
-            this.showCustomNotification(title, body, icon);
-            return;
+    writeData(data, changes) {
+        const sealing = this.vaultKeys.size > 0 &&
+            (!changes || changes.some(change => this.isVaultChange(data, change)));
+        if (!sealing) {
+            return this.adapter.write(data, changes);
         }
 
-        const notification = new Notification(title, {
-            body: body,
-            icon: this.createIconDataUrl(icon),
-            tag: tag,
-            badge: this.createIconDataUrl('🏅'),
-            vibrate: [100, 50, 100],
-            requireInteraction: true
+        // Copy now: the data can change while encryption runs. A sealed
+        // record can't be patched field by field, so patches become puts.
+        const plainChanges = changes && changes.map(change => {
+            if (change.op === 'patch' && this.isVaultChange(data, change)) {
+                const record = data[change.store].find(item =>
+                    isSameRecordKey(getRecordKey(change.store, item), change.key)
+                );
+                if (record) return this.putChange(change.store, JSON.parse(JSON.stringify(record)));
+            }
+            return JSON.parse(JSON.stringify(change));
         });
+        const plainData = changes ? data : JSON.parse(JSON.stringify(data));
 
-        notification.onclick = () => {
-            window.focus();
-            notification.close();
-        };
+        // Sealed writes are chained so they reach the adapter in order
+        this.sealedWrite = this.sealedWrite.catch(() => false).then(async () => {
+            if (plainChanges) {
+                const sealedChanges = await Promise.all(plainChanges.map(change => this.sealChange(data, change)));
+                return this.adapter.write(plainData, sealedChanges);
+            }
+            return this.adapter.write(await this.sealData(plainData));
+        });
+        return this.sealedWrite;
+    }
 
-        setTimeout(() => {
-            notification.close();
-        }, 10000);
+    getSealContext(store, record) {
+        return `${store}:${record.userId}:${record.id}`;
     }
 
-    createIconDataUrl(emoji) {
-        const canvas = document.createElement('canvas');
-        canvas.width = 64;
-        canvas.height = 64;
-        const ctx = canvas.getContext('2d');
-        
-        ctx.font = '48px Arial';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(emoji, 32, 32);
-        
-        return canvas.toDataURL();
+    async sealRecord(store, record) {
+        const key = this.vaultKeys.get(record.userId);
+        return {
+            id: record.id,
+            userId: record.userId,
+            updatedAt: record.updatedAt,
+            sealed: {
+                version: this.migrator.currentVersion,
+                ...await this.vaultCrypto.encrypt(key, record, this.getSealContext(store, record))
+            }
+        };
     }
 
-    showCustomNotification(title, body, icon) {
-        const notification = document.createElement('div');
-        notification.className = 'custom-notification';
-        notification.innerHTML = `
-            <div class="notification-content">
-                <div class="notification-icon">${icon}</div>
-                <div class="notification-text">
-                    <div class="notification-title">${title}</div>
-                    <div class="notification-message">${body}</div>
-                </div>
-                <button class="notification-close" onclick="this.parentNode.parentNode.remove()">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-        `;
-        
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.remove();
+    async sealSyncStates(states) {
+        const sealed = { ...states };
+        for (const [username, state] of Object.entries(states || {})) {
+            if (this.vaultKeys.has(username) && state && !state.sealed) {
+                sealed[username] = {
+                    sealed: await this.vaultCrypto.encrypt(this.vaultKeys.get(username), state, `sync:${username}`)
+                };
             }
-        }, 8000);
-        
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-            notification.style.opacity = '1';
-        }, 10);
+        }
+        return sealed;
     }
 
-    scheduleTaskNotifications(task) {
-        if (!task || task.completed) return;
+    async sealChange(data, change) {
+        if (change.store === 'meta') {
+            if (change.value.key !== 'sync') return change;
+            return this.putChange('meta', { key: 'sync', value: await this.sealSyncStates(change.value.value) });
+        }
+        if (change.op !== 'put' || !this.vaultKeys.has(this.getRecordOwner(data, change))) {
+            return change;
+        }
+        return this.putChange(change.store, await this.sealRecord(change.store, change.value));
+    }
 
-        const taskDateTime = new Date(`${task.date}T${task.startTime}`);
-        const now = new Date();
+    async sealData(data) {
+        const seal = (store, record) => this.vaultKeys.has(record.userId) && !record.sealed
+            ? this.sealRecord(store, record)
+            : record;
+        data.tasks = await Promise.all((data.tasks || []).map(task => seal('tasks', task)));
+        data.badges = await Promise.all((data.badges || []).map(badge => seal('badges', badge)));
+        if (data.sync) {
+            data.sync = await this.sealSyncStates(data.sync);
+        }
+        return data;
+    }
 
-        this.cancelTaskNotifications(task.id);
+    // Decrypts a user's sealed records in `data` in place and returns the
+    // oldest schema version they were sealed with
+    async openRecords(data, username, key) {
+        let version = this.migrator.currentVersion;
+        const open = async (store, record) => {
+            if (record.userId !== username || !record.sealed) return record;
+            version = Math.min(version, record.sealed.version || 0);
+            return this.vaultCrypto.decrypt(key, record.sealed, this.getSealContext(store, record));
+        };
 
-        // Schedule 1 hour before notification
-        const oneHourBefore = new Date(taskDateTime.getTime() - 60 * 60 * 1000);
-        if (oneHourBefore > now) {
-            const timeout1h = setTimeout(() => {
-                this.showNotification(
-                    '⏰ Task Reminder - 1 Hour',
-                    `"${task.title}" starts in 1 hour at ${this.formatTime(task.startTime)}`,
-                    '⏰',
-                    `task-1h-${task.id}`
-                );
-            }, oneHourBefore.getTime() - now.getTime());
-            
-            this.scheduledNotifications.set(`${task.id}-1h`, timeout1h);
+        data.tasks = await Promise.all(data.tasks.map(task => open('tasks', task)));
+        data.badges = await Promise.all(data.badges.map(badge => open('badges', badge)));
+        if (data.sync && data.sync[username] && data.sync[username].sealed) {
+            data.sync = {
+                ...data.sync,
+                [username]: await this.vaultCrypto.decrypt(key, data.sync[username].sealed, `sync:${username}`)
+            };
         }
+        return version;
+    }
 
-        // Schedule 5 minutes before notification
-        const fiveMinutesBefore = new Date(taskDateTime.getTime() - 5 * 60 * 1000);
-        if (fiveMinutesBefore > now) {
-            const timeout5m = setTimeout(() => {
-                this.showNotification(
-                    '🚨 Task Alert - 5 Minutes!',
-                    `"${task.title}" is starting soon! Get ready.`,
-                    '🚨',
-                    `task-5m-${task.id}`
-                );
-            }, fiveMinutesBefore.getTime() - now.getTime());
-            
-            this.scheduledNotifications.set(`${task.id}-5m`, timeout5m);
+    // Opens the vault after login; throws when the records can't be decrypted
+    async openVault(username, password) {
+        const user = this.getUser(username);
+        const key = await this.vaultCrypto.unwrapVaultKey(user.vault, password);
+        const data = this.getData();
+        const version = await this.openRecords(data, username, key);
+        this.vaultKeys.set(username, key);
+
+        // Records sealed by an older version of the app are upgraded now
+        if (version < this.migrator.currentVersion) {
+            const isOwn = record => record.userId === username;
+            const migrated = this.migrator.migrate({
+                version,
+                tasks: data.tasks.filter(isOwn),
+                badges: data.badges.filter(isOwn)
+            });
+            data.tasks = [...data.tasks.filter(task => !isOwn(task)), ...migrated.tasks];
+            data.badges = [...data.badges.filter(badge => !isOwn(badge)), ...migrated.badges];
+            this.saveData(data, [
+                ...migrated.tasks.map(task => this.putChange('tasks', task)),
+                ...migrated.badges.map(badge => this.putChange('badges', badge))
+            ], { storageOnly: true });
         }
+    }
 
-        // Schedule start time notification
-        if (taskDateTime > now) {
-            const timeoutStart = setTimeout(() => {
-                this.showNotification(
-                    '▶️ Task Starting Now!',
-                    `"${task.title}" is scheduled to start now.`,
-                    '▶️',
-                    `task-start-${task.id}`
-                );
-            }, taskDateTime.getTime() - now.getTime());
-            
-            this.scheduledNotifications.set(`${task.id}-start`, timeoutStart);
+    // Seals the user's records in memory again and forgets their data key,
+    // so nothing of theirs stays readable in this tab
+    async closeVault(username) {
+        if (!this.vaultKeys.has(username)) return;
+
+        // Writes already queued still need the key to seal their records
+        await this.sealedWrite;
+        const data = this.getData();
+        const seal = (store, record) => record.userId === username && !record.sealed
+            ? this.sealRecord(store, record)
+            : record;
+        data.tasks = await Promise.all(data.tasks.map(task => seal('tasks', task)));
+        data.badges = await Promise.all(data.badges.map(badge => seal('badges', badge)));
+        if (data.sync && data.sync[username]) {
+            data.sync = {
+                ...data.sync,
+                ...await this.sealSyncStates({ [username]: data.sync[username] })
+            };
         }
+        this.vaultKeys.delete(username);
+        this.searchIndex.rebuild(data.tasks);
     }
 
-    cancelTaskNotifications(taskId) {
-        const keys = [`${taskId}-1h`, `${taskId}-5m`, `${taskId}-start`];
-        
-        keys.forEach(key => {
-            if (this.scheduledNotifications.has(key)) {
-                clearTimeout(this.scheduledNotifications.get(key));
-                this.scheduledNotifications.delete(key);
-            }
-        });
+    getVaultRecordChanges(data, username) {
+        const changes = [
+            ...data.tasks.filter(task => task.userId === username)
+                .map(task => this.putChange('tasks', task)),
+            ...data.badges.filter(badge => badge.userId === username)
+                .map(badge => this.putChange('badges', badge))
+        ];
+        if (data.sync && data.sync[username]) {
+            changes.push(this.metaChange(data, 'sync'));
+        }
+        return changes;
     }
 
-    scheduleAllTaskNotifications() {
-        const tasks = this.storage.getTasks();
-        const incompleteTasks = tasks.filter(task => !task.completed);
-        
-        this.clearAllNotifications();
-        
-        incompleteTasks.forEach(task => {
-            this.scheduleTaskNotifications(task);
-        });
-        
-        console.log(`Scheduled notifications for ${incompleteTasks.length} tasks`);
+    // Encrypts everything the user has from now on
+    async enableVault(username, password) {
+        const { key, vault } = await this.vaultCrypto.createVault(password);
+        const data = this.getData();
+        this.vaultKeys.set(username, key);
+        data.users[username] = { ...data.users[username], vault };
+        this.saveData(data, [
+            this.patchChange('users', username, { vault }),
+            ...this.getVaultRecordChanges(data, username)
+        ], { storageOnly: true });
+
+        // The write is a single transaction, so on failure nothing was sealed
+        if (await this.pendingWrite === false) {
+            this.vaultKeys.delete(username);
+            data.users[username] = { ...data.users[username], vault: null };
+            return false;
+        }
+        await this.resealSnapshots(username, await this.getSnapshots(username));
+        return true;
     }
 
-    clearAllNotifications() {
-        this.scheduledNotifications.forEach(timeout => {
-            clearTimeout(timeout);
-        });
-        this.scheduledNotifications.clear();
+    async disableVault(username) {
+        const snapshots = await this.getSnapshots(username);
+        const data = this.getData();
+        this.vaultKeys.delete(username);
+        data.users[username] = { ...data.users[username], vault: null };
+        this.saveData(data, [
+            this.patchChange('users', username, { vault: null }),
+            ...this.getVaultRecordChanges(data, username)
+        ], { storageOnly: true });
+        if (await this.pendingWrite === false) {
+            return false;
+        }
+        await this.resealSnapshots(username, snapshots);
+        return true;
     }
 
-    showDailyCompletionNotification() {
-        this.showNotification(
-            '🎉 Daily Goals Achieved!',
-            'Congratulations! You completed all your tasks for today. You earned a new badge!',
-            '🏆'
-        );
+    // Wraps the open vault's data key with a new password. The records stay
+    // sealed with the same data key, so nothing else has to be rewritten.
+    rewrapVault(username, password, iterations) {
+        return this.vaultCrypto.wrapVaultKey(this.vaultKeys.get(username), password, iterations);
     }
 
-    showBadgeEarnedNotification(badge) {
-        this.showNotification(
-            '🏅 New Badge Earned!',
-            `Achievement unlocked: ${badge.title}`,
-            badge.icon
-        );
+    // User Management
+    addUser(userData) {
+        const data = this.getData();
+        if (data.users[userData.username]) {
+            return false; // User already exists
+        }
+        data.users[userData.username] = {
+            ...userData,
+            createdAt: new Date().toISOString()
+        };
+        return this.saveData(data, [this.putChange('users', data.users[userData.username])]);
     }
 
-    showTaskCompletedNotification(task) {
-        this.showNotification(
-            '✅ Task Completed!',
-            `Great job completing "${task.title}"!`,
-            '✅'
-        );
+    getUser(username) {
+        const data = this.getData();
+        return data.users[username] || null;
     }
 
-    formatTime(time) {
-        return new Date(`2000-01-01T${time}`).toLocaleTimeString([], {
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+    getUsers() {
+        const data = this.getData();
+        return data.users || {};
     }
 
-    getNotificationStats() {
-        return {
-            permissionGranted: this.permissionGranted,
-            scheduledCount: this.scheduledNotifications.size,
-            isSupported: 'Notification' in window
-        };
+    updateUser(username, updates) {
+        const data = this.getData();
+        if (!data.users[username]) return false;
+        data.users[username] = { ...data.users[username], ...updates };
+        return this.saveData(data, [this.patchChange('users', username, updates)]);
     }
-}
 
-// Chart Management System
-class ChartManager {
-    constructor(storageManager) {
-        this.storage = storageManager;
-        this.charts = {};
-        this.initCharts();
+    // Removes the user together with their tasks, badges, sync state,
+    // restore points and pre-migration backup copy, and signs them out if
+    // they are the current user
+    async deleteUser(username) {
+        const data = this.getData();
+        if (!data.users[username]) return false;
+
+        const snapshots = await this.adapter.loadSnapshots(username);
+        const changes = [
+            ...data.tasks
+                .filter(task => task.userId === username)
+                .map(task => this.deleteChange('tasks', task.id)),
+            ...data.badges
+                .filter(badge => badge.userId === username)
+                .map(badge => this.deleteChange('badges', [username, badge.id])),
+            this.deleteChange('users', username)
+        ];
+
+        data.tasks = data.tasks.filter(task => task.userId !== username);
+        data.badges = data.badges.filter(badge => badge.userId !== username);
+        delete data.users[username];
+        if (data.sync && data.sync[username]) {
+            delete data.sync[username];
+            changes.push(this.metaChange(data, 'sync'));
+        }
+        if (data.currentUser === username) {
+            data.currentUser = null;
+            data.session = null;
+            this.writeTabSession(null);
+            changes.push(this.metaChange(data, 'currentUser'), this.metaChange(data, 'session'));
+        }
+
+        if (!this.saveData(data, changes) || await this.pendingWrite === false) {
+            return false;
+        }
+        this.vaultKeys.delete(username);
+        await this.adapter.deleteSnapshots(snapshots.map(snapshot => snapshot.id));
+        await this.removeUserFromBackups(username);
+        return true;
     }
 
-    initCharts() {
-        this.createProgressChart();
-        this.createPriorityChart();
+    // Pre-migration backups copy every user's data. One can also be left in
+    // localStorage from before the move to IndexedDB.
+    async removeUserFromBackups(username) {
+        const adapters = this.adapter instanceof LocalStorageAdapter
+            ? [this.adapter]
+            : [this.adapter, new LocalStorageAdapter(this.storageKey)];
+
+        for (const adapter of adapters) {
+            try {
+                const backup = await adapter.loadBackup();
+                if (!backup) continue;
+
+                const users = { ...backup.users };
+                delete users[username];
+                const sync = { ...backup.sync };
+                delete sync[username];
+                await adapter.saveBackup({
+                    ...backup,
+                    users,
+                    tasks: (backup.tasks || []).filter(task => task.userId !== username),
+                    badges: (backup.badges || []).filter(badge => badge.userId !== username),
+                    ...(backup.sync ? { sync } : {}),
+                    ...(backup.currentUser === username ? { currentUser: null, session: null } : {})
+                });
+            } catch (error) {
+                console.error('Error removing user from backup:', error);
+            }
+        }
     }
 
-    createProgressChart() {
-        const ctx = document.getElementById('progressChart');
-        if (!ctx) return;
+    setCurrentUser(username) {
+        const data = this.getData();
+        data.currentUser = username;
+        return this.saveData(data, [this.metaChange(data, 'currentUser')]);
+    }
 
-        const stats = this.storage.getTaskStats();
-        const todayStats = stats.today;
+    getCurrentUser() {
+        const data = this.getData();
+        return data.currentUser;
+    }
 
-        this.charts.progress = new Chart(ctx, {
-            type: 'pie',
-            data: {
-                labels: ['Completed', 'Pending'],
-                datasets: [{
-                    data: [todayStats.completed, todayStats.total - todayStats.completed],
-                    backgroundColor: [
-                        'rgba(78, 205, 196, 0.8)',
-                        'rgba(255, 234, 167, 0.8)'
-                    ],
-                    borderColor: [
-                        'rgba(78, 205, 196, 1)',
-                        'rgba(255, 234, 167, 1)'
-                    ],
-                    borderWidth: 2,
-                    hoverOffset: 4
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'bottom',
-                        labels: {
-                            padding: 20,
-                            usePointStyle: true,
-                            font: {
-                                size: 14
-                            },
-                            color: getComputedStyle(document.documentElement)
-                                .getPropertyValue('--text-color').trim()
-                        }
-                    },
-                    title: {
-                        display: true,
-                        text: `Today's Progress (${todayStats.total} tasks)`,
-                        font: {
-                            size: 16,
-                            weight: 'bold'
-                        },
-                        color: getComputedStyle(document.documentElement)
-                            .getPropertyValue('--text-color').trim(),
-                        padding: 20
-                    }
-                },
-                animation: {
-                    animateRotate: true,
-                    animateScale: true,
-                    duration: 1000,
-                    easing: 'easeOutQuart'
-                }
+    // Sessions
+    // Only "remember me" sessions are stored with the data. Others live in
+    // this tab's sessionStorage and end when the browser is closed.
+    getSession() {
+        const data = this.getData();
+        return data.session || this.readTabSession();
+    }
+
+    readTabSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem(`${this.storageKey}Session`));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeTabSession(session) {
+        try {
+            if (session) {
+                sessionStorage.setItem(`${this.storageKey}Session`, JSON.stringify(session));
+            } else {
+                sessionStorage.removeItem(`${this.storageKey}Session`);
             }
-        });
+            return true;
+        } catch (error) {
+            console.error('Error saving session:', error);
+            return false;
+        }
     }
 
-    createPriorityChart() {
-        const ctx = document.getElementById('priorityChart');
-        if (!ctx) return;
+    startSession(session) {
+        const data = this.getData();
+        data.currentUser = session.username;
+        data.session = session.remember ? session : null;
+        this.writeTabSession(session.remember ? null : session);
+        return this.saveData(data, [this.metaChange(data, 'currentUser'), this.metaChange(data, 'session')]);
+    }
 
-        const stats = this.storage.getTaskStats();
-        const priorityStats = stats.byPriority;
+    updateSession(updates) {
+        const data = this.getData();
+        if (!data.session) {
+            const session = this.readTabSession();
+            return Boolean(session) && this.writeTabSession({ ...session, ...updates });
+        }
+        data.session = { ...data.session, ...updates };
+        return this.saveData(data, [this.metaChange(data, 'session')]);
+    }
 
-        this.charts.priority = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: ['High Priority', 'Medium Priority', 'Low Priority'],
-                datasets: [{
-                    label: 'Number of Tasks',
-                    data: [priorityStats.high, priorityStats.medium, priorityStats.low],
-                    backgroundColor: [
-                        'rgba(253, 121, 168, 0.8)',
-                        'rgba(255, 234, 167, 0.8)',
-                        'rgba(78, 205, 196, 0.8)'
-                    ],
-                    borderColor: [
-                        'rgba(253, 121, 168, 1)',
-                        'rgba(255, 234, 167, 1)',
-                        'rgba(78, 205, 196, 1)'
-                    ],
-                    borderWidth: 2,
-                    borderRadius: 6,
-                    borderSkipped: false
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    title: {
-                        display: true,
-                        text: 'Tasks by Priority',
-                        font: {
-                            size: 16,
-                            weight: 'bold'
-                        },
-                        color: getComputedStyle(document.documentElement)
-                            .getPropertyValue('--text-color').trim(),
-                        padding: 20
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        ticks: {
-                            stepSize: 1,
-                            color: getComputedStyle(document.documentElement)
-                                .getPropertyValue('--text-muted').trim()
-                        },
-                        grid: {
-                            color: getComputedStyle(document.documentElement)
-                                .getPropertyValue('--border-color').trim()
-                        }
-                    },
-                    x: {
-                        ticks: {
-                            color: getComputedStyle(document.documentElement)
-                                .getPropertyValue('--text-muted').trim()
-                        },
-                        grid: {
-                            display: false
-                        }
-                    }
-                },
-                animation: {
-                    duration: 1000,
-                    easing: 'easeOutQuart'
-                }
-            }
-        });
+    endSession() {
+        const data = this.getData();
+        data.currentUser = null;
+        data.session = null;
+        this.writeTabSession(null);
+        return this.saveData(data, [this.metaChange(data, 'currentUser'), this.metaChange(data, 'session')]);
     }
 
-    updateCharts() {
-        const stats = this.storage.getTaskStats();
-        
-        if (this.charts.progress) {
-            const todayStats = stats.today;
-            this.charts.progress.data.datasets[0].data = [
-                todayStats.completed, 
-                todayStats.total - todayStats.completed
-            ];
-            this.charts.progress.options.plugins.title.text = 
-                `Today's Progress (${todayStats.total} tasks)`;
-            this.charts.progress.update('active');
+    // Task Management
+    addTask(task) {
+        const data = this.getData();
+        const now = new Date().toISOString();
+        const newTask = {
+            ...task,
+            id: this.generateId(),
+            userId: data.currentUser,
+            createdAt: now,
+            updatedAt: now,
+            completed: false
+        };
+        data.tasks.push(newTask);
+        if (!this.saveData(data, [this.putChange('tasks', newTask)])) {
+            return null;
         }
+        return newTask;
+    }
 
-        if (this.charts.priority) {
-            const priorityStats = stats.byPriority;
-            this.charts.priority.data.datasets[0].data = [
-                priorityStats.high,
-                priorityStats.medium,
-                priorityStats.low
-            ];
-            this.charts.priority.update('active');
+    // Adds already-complete task records (e.g. from a file import) in one
+    // write; unlike addTask it keeps their completed state
+    importTasks(tasks) {
+        const data = this.getData();
+        const now = new Date().toISOString();
+        const newTasks = tasks.map(task => ({
+            ...task,
+            id: this.generateId(),
+            userId: data.currentUser,
+            createdAt: task.createdAt || now,
+            updatedAt: now,
+            completed: Boolean(task.completed)
+        }));
+        data.tasks.push(...newTasks);
+        if (!this.saveData(data, newTasks.map(task => this.putChange('tasks', task)))) {
+            return [];
         }
+        return newTasks;
     }
 
-    updateChartThemes() {
-        const textColor = getComputedStyle(document.documentElement)
-            .getPropertyValue('--text-color').trim();
-        const textMuted = getComputedStyle(document.documentElement)
-            .getPropertyValue('--text-muted').trim();
-        const borderColor = getComputedStyle(document.documentElement)
-            .getPropertyValue('--border-color').trim();
+    // Every task of the current user, including trashed and archived ones
+    getUserTasks() {
+        const data = this.getData();
+        const currentUser = data.currentUser;
+        return data.tasks.filter(task => task.userId === currentUser) || [];
+    }
 
-        Object.values(this.charts).forEach(chart => {
-            if (chart && chart.options) {
-                if (chart.options.plugins?.legend?.labels) {
-                    chart.options.plugins.legend.labels.color = textColor;
-                }
-                if (chart.options.plugins?.title) {
-                    chart.options.plugins.title.color = textColor;
-                }
-                
-                if (chart.options.scales?.y?.ticks) {
-                    chart.options.scales.y.ticks.color = textMuted;
-                    chart.options.scales.y.grid.color = borderColor;
-                }
-                if (chart.options.scales?.x?.ticks) {
-                    chart.options.scales.x.ticks.color = textMuted;
-                    if (chart.options.scales.x.grid) {
-                        chart.options.scales.x.grid.color = borderColor;
-                    }
-                }
-                
-                chart.update('none');
+    // The user's tasks matching a search query, archived ones included and
+    // trashed ones left out. A matching series is listed through its
+    // occurrences from `from` to `to`.
+    searchTasks(query, from, to) {
+        const { terms, filters } = this.searchIndex.parseQuery(query);
+        const tasks = this.getData().tasks || [];
+        const ids = terms.length > 0 ? this.searchIndex.matchTerms(tasks, terms) : null;
+        const isMatch = taskId => !ids || ids.has(taskId);
+
+        const results = [
+            ...this.getHistoryTasks().filter(task => isMatch(task.id)),
+            ...this.getOccurrences(from, to).filter(occurrence => isMatch(occurrence.seriesId))
+        ];
+        return {
+            terms,
+            tasks: results.filter(task => filters.every(filter => filter(task)))
+        };
+    }
+
+    // Tasks in the active list. Recurring series are kept apart: they are
+    // listed by getSeries and shown through their occurrences
+    getTasks() {
+        return this.getUserTasks().filter(task => !task.deletedAt && !task.archivedAt && !task.recurrence);
+    }
+
+    // Active and archived tasks; statistics and badges are based on these
+    // so archiving never takes away progress
+    getHistoryTasks() {
+        return this.getUserTasks().filter(task => !task.deletedAt && !task.recurrence);
+    }
+
+    getSeries() {
+        return this.getUserTasks().filter(task => task.recurrence && !task.deletedAt && !task.archivedAt);
+    }
+
+    // Occurrences of every series between two dates, as tasks that aren't
+    // stored. An occurrence that was completed, edited or deleted on its own
+    // is stored as a task with `seriesId` and `occurrenceDate` instead.
+    getOccurrences(from, to) {
+        const detached = new Set(this.getUserTasks()
+            .filter(task => task.seriesId)
+            .map(task => `${task.seriesId}@${task.occurrenceDate}`));
+
+        return this.getSeries().flatMap(series => this.recurrence.getDates(series, from, to)
+            .filter(date => !detached.has(`${series.id}@${date}`))
+            .map(date => this.recurrence.createOccurrence(series, date)));
+    }
+
+    detachOccurrence(occurrence, updates = {}) {
+        const { id, virtual, ...task } = occurrence;
+        const [detached] = this.importTasks([{ ...task, ...updates }]);
+        return detached || null;
+    }
+
+    getTrashedTasks() {
+        return this.getUserTasks().filter(task => task.deletedAt);
+    }
+
+    getArchivedTasks() {
+        return this.getUserTasks().filter(task => task.archivedAt && !task.deletedAt);
+    }
+
+    updateTask(taskId, updates) {
+        const data = this.getData();
+        const taskIndex = data.tasks.findIndex(task => task.id === taskId);
+        if (taskIndex !== -1) {
+            const patch = { ...updates, updatedAt: new Date().toISOString() };
+            data.tasks[taskIndex] = { ...data.tasks[taskIndex], ...patch };
+            if (!this.saveData(data, [this.patchChange('tasks', taskId, patch)])) {
+                return null;
             }
+            return data.tasks[taskIndex];
+        }
+        return null;
+    }
+
+    // Moves the task to the trash; purgeTask removes it for good
+    deleteTask(taskId) {
+        return this.updateTask(taskId, { deletedAt: new Date().toISOString() }) !== null;
+    }
+
+    restoreTask(taskId) {
+        return this.updateTask(taskId, { deletedAt: null });
+    }
+
+    purgeTask(taskId) {
+        return this.purgeTasks([taskId]);
+    }
+
+    purgeTasks(taskIds) {
+        if (taskIds.length > 1) {
+            this.takeSnapshot('bulkDelete');
+        }
+
+        const data = this.getData();
+        const ids = new Set(taskIds);
+        const changes = [];
+        data.tasks = data.tasks.filter(task => {
+            if (!ids.has(task.id)) return true;
+            changes.push(this.deleteChange('tasks', task.id));
+            return false;
         });
+        return changes.length > 0 && this.saveData(data, changes);
     }
 
-    resizeCharts() {
-        Object.values(this.charts).forEach(chart => {
-            if (chart) {
-                chart.resize();
-            }
+    archiveTask(taskId) {
+        return this.updateTask(taskId, { archivedAt: new Date().toISOString() });
+    }
+
+    unarchiveTask(taskId) {
+        return this.updateTask(taskId, { archivedAt: null });
+    }
+
+    completeTask(taskId) {
+        const task = this.updateTask(taskId, {
+            completed: true,
+            completedAt: new Date().toISOString()
         });
+        return task;
     }
-}
 
-// Badge Management System
-class BadgeManager {
-    constructor(storageManager) {
-        this.storage = storageManager;
-        this.badgeDefinitions = this.initializeBadgeDefinitions();
-        this.init();
+    // Puts tasks back into a recorded state: `states` maps task ids to a
+    // full task record, or null for a task that should not exist
+    restoreTasks(states) {
+        const data = this.getData();
+        const updatedAt = new Date().toISOString();
+        const revisions = new Map(data.tasks.map(task => [task.id, task.revision]));
+        const changes = Object.entries(states).map(([taskId, task]) => task
+            ? this.putChange('tasks', { ...task, updatedAt, revision: revisions.get(taskId) || task.revision })
+            : this.deleteChange('tasks', taskId)
+        );
+        data.tasks = data.tasks.filter(task => !(task.id in states));
+        applyRecordChanges(data, changes);
+        return this.saveData(data, changes);
     }
 
-    initializeBadgeDefinitions() {
-        return {
-            firstTask: {
-                id: 'firstTask',
-                title: 'Getting Started',
-                description: 'Complete your first task',
-                icon: '🎯',
-                category: 'milestone',
-                condition: (userStats) => userStats.completedTasks >= 1
-            },
-            dailyCompletion: {
-                id: 'dailyCompletion',
-                title: 'Daily Champion',
-                description: 'Complete all tasks in a single day',
-                icon: '🏆',
-                category: 'daily',
-                condition: (userStats, tasks) => {
-                    const today = new Date().toISOString().split('T')[0];
-                    const todayTasks = tasks.filter(task => task.date === today);
-                    return todayTasks.length > 0 && todayTasks.every(task => task.completed);
-                }
-            },
-            streak3: {
-                id: 'streak3',
-                title: 'On Fire',
-                description: 'Complete all tasks for 3 consecutive days',
-                icon: '🔥',
-                category: 'streak',
-                condition: (userStats, tasks) => this.checkCompletionStreak(tasks, 3)
+    // Badge Management
+    addBadge(badge) {
+        const data = this.getData();
+        const existingBadge = data.badges.find(b => 
+            b.id === badge.id && b.userId === data.currentUser
+        );
+        
+        if (existingBadge) {
+            return null; // Badge already exists
+        }
+
+        const newBadge = {
+            ...badge,
+            userId: data.currentUser,
+            earnedAt: new Date().toISOString()
+        };
+        data.badges.push(newBadge);
+        if (!this.saveData(data, [this.putChange('badges', newBadge)])) {
+            return null;
+        }
+        return newBadge;
+    }
+
+    // Replaces the current user's badges with exactly `badges`
+    setBadges(badges) {
+        const data = this.getData();
+        const currentUser = data.currentUser;
+        const keep = new Set(badges.map(badge => badge.id));
+        const changes = [
+            ...data.badges
+                .filter(badge => badge.userId === currentUser && !keep.has(badge.id))
+                .map(badge => this.deleteChange('badges', [currentUser, badge.id])),
+            ...badges.map(badge => this.putChange('badges', { ...badge, userId: currentUser }))
+        ];
+        data.badges = data.badges.filter(badge => badge.userId !== currentUser);
+        applyRecordChanges(data, changes);
+        return this.saveData(data, changes);
+    }
+
+    getBadges() {
+        const data = this.getData();
+        const currentUser = data.currentUser;
+        return data.badges.filter(badge => badge.userId === currentUser) || [];
+    }
+
+    // Statistics
+    getTaskStats() {
+        const tasks = this.getHistoryTasks();
+        const today = new Date().toISOString().split('T')[0];
+        
+        const todayTasks = [
+            ...tasks.filter(task => task.date === today),
+            ...this.getOccurrences(today, today)
+        ];
+        const completedTasks = tasks.filter(task => task.completed);
+        const pendingTasks = tasks.filter(task => !task.completed);
+
+        const priorityStats = {
+            high: tasks.filter(task => task.priority === 'high').length,
+            medium: tasks.filter(task => task.priority === 'medium').length,
+            low: tasks.filter(task => task.priority === 'low').length
+        };
+
+        // Tasks without a project are counted under ''
+        const projectStats = tasks.reduce((projects, task) => {
+            const counts = projects[task.project || ''] = projects[task.project || ''] || { total: 0, completed: 0, pending: 0 };
+            counts.total++;
+            counts[task.completed ? 'completed' : 'pending']++;
+            return projects;
+        }, {});
+
+        return {
+            total: tasks.length,
+            completed: completedTasks.length,
+            pending: pendingTasks.length,
+            completedTasks: completedTasks.length,
+            today: {
+                total: todayTasks.length,
+                completed: todayTasks.filter(task => task.completed).length,
+                pending: todayTasks.filter(task => !task.completed).length
             },
-            streak7: {
-                id: 'streak7',
-                title: 'Unstoppable',
-                description: 'Complete all tasks for 7 consecutive days',
-                icon: '⚡',
-                category: 'streak',
-                condition: (userStats, tasks) => this.checkCompletionStreak(tasks, 7)
+            byPriority: priorityStats,
+            byProject: projectStats
+        };
+    }
+
+    // Settings
+    // Every preference is kept per user under `user.settings`. Values that
+    // are unset or of the wrong type fall back to the defaults here, so new
+    // preferences only need an entry in this schema.
+    initializeSettingsSchema() {
+        return {
+            theme: { type: 'string', default: 'light', values: ['light', 'dark'] },
+            notifications: { type: 'boolean', default: true },
+            autoLockMinutes: { type: 'number', default: 15, min: 0 },
+            retention: {
+                type: 'object',
+                default: { trashDays: 30, completedDays: 90, completedAction: 'archive' }
             },
-            earlyBird: {
-                id: 'earlyBird',
-                title: 'Early Bird',
-                description: 'Complete a task before 7 AM',
-                icon: '🐦',
-                category: 'time',
-                condition: (userStats, tasks) => {
-                    return tasks.some(task => {
-                        if (!task.completed || !task.completedAt) return false;
-                        const completedTime = new Date(task.completedAt);
-                        return completedTime.getHours() < 7;
-                    });
+            // The task list's period; an empty date follows today
+            taskRange: { type: 'object', default: { size: '15days', date: '' } },
+            taskView: { type: 'string', default: 'list', values: ['list', 'day', 'week', 'month'] }
+        };
+    }
+
+    // Returns the value as stored, or undefined when it doesn't fit the schema
+    normalizeSetting(key, value) {
+        const schema = this.settingsSchema[key];
+        if (!schema || value === undefined || value === null) return undefined;
+
+        if (schema.type === 'object') {
+            if (typeof value !== 'object' || Array.isArray(value)) return undefined;
+            // Fields are typed by their default
+            return Object.fromEntries(Object.entries(schema.default)
+                .filter(([field, fallback]) => typeof value[field] === typeof fallback)
+                .map(([field]) => [field, value[field]]));
+        }
+
+        if (typeof value !== schema.type) return undefined;
+        if (schema.type === 'number' && (!Number.isFinite(value) || value < (schema.min ?? -Infinity))) return undefined;
+        if (schema.values && !schema.values.includes(value)) return undefined;
+        return value;
+    }
+
+    // Keeps only known settings with valid values, e.g. from a backup
+    normalizeSettings(settings) {
+        return Object.fromEntries(Object.keys(this.settingsSchema)
+            .map(key => [key, this.normalizeSetting(key, settings && settings[key])])
+            .filter(([, value]) => value !== undefined));
+    }
+
+    getSetting(key, username = this.getCurrentUser()) {
+        const schema = this.settingsSchema[key];
+        if (!schema) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+
+        const user = username ? this.getUser(username) : null;
+        const value = this.normalizeSetting(key, user && user.settings && user.settings[key]);
+        if (schema.type === 'object') {
+            return { ...schema.default, ...value };
+        }
+        return value === undefined ? schema.default : value;
+    }
+
+    getSettings(username = this.getCurrentUser()) {
+        return Object.fromEntries(Object.keys(this.settingsSchema)
+            .map(key => [key, this.getSetting(key, username)]));
+    }
+
+    setSettings(updates, username = this.getCurrentUser()) {
+        const data = this.getData();
+        const user = username && data.users[username];
+        if (!user) return false;
+
+        const normalized = {};
+        Object.entries(updates).forEach(([key, value]) => {
+            const schema = this.settingsSchema[key];
+            if (!schema) {
+                throw new Error(`Unknown setting: ${key}`);
+            }
+            const merged = schema.type === 'object' ? { ...this.getSetting(key, username), ...value } : value;
+            normalized[key] = this.normalizeSetting(key, merged);
+            if (normalized[key] === undefined) {
+                throw new Error(`Invalid value for setting ${key}`);
+            }
+        });
+
+        const settings = { ...user.settings, ...normalized };
+        data.users[username] = { ...user, settings };
+        return this.saveData(data, [this.patchChange('users', username, { settings })]);
+    }
+
+    setSetting(key, value, username = this.getCurrentUser()) {
+        return this.setSettings({ [key]: value }, username);
+    }
+
+    setTheme(theme) {
+        return this.setSetting('theme', theme);
+    }
+
+    getTheme() {
+        return this.getSetting('theme');
+    }
+
+    // Server sync configuration and queue, kept per user
+    getSyncState(username) {
+        const data = this.getData();
+        return (data.sync && data.sync[username]) || null;
+    }
+
+    setSyncState(username, state) {
+        const data = this.getData();
+        data.sync = { ...data.sync };
+        if (state) {
+            data.sync[username] = state;
+        } else {
+            delete data.sync[username];
+        }
+        return this.saveData(data, [this.metaChange(data, 'sync')], { fromSync: true });
+    }
+
+    // Utility
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    exportUserData() {
+        const data = this.getData();
+        const user = data.users[data.currentUser];
+        // Detached copy so callers can't mutate the cached records. Only the
+        // account's names are exported; its sign-in secrets stay here.
+        return JSON.parse(JSON.stringify({
+            app: 'Mission Monitor',
+            version: data.version,
+            exportedAt: new Date().toISOString(),
+            user: { username: user.username, displayName: user.displayName },
+            tasks: this.getUserTasks(),
+            badges: this.getBadges(),
+            settings: user.settings || {}
+        }));
+    }
+
+    validateUserData(userData) {
+        const errors = [];
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const isTime = (value) => /^\d{2}:\d{2}$/.test(value);
+        // Ids end up in markup and selectors, so only plain ones are taken
+        const isId = (value) => typeof value === 'string' && /^[\w-]+$/.test(value);
+
+        if (!Array.isArray(userData.tasks)) {
+            errors.push('Backup has no task list');
+        } else {
+            userData.tasks.forEach((task, index) => {
+                const label = `Task ${index + 1}`;
+                if (!task || typeof task !== 'object') {
+                    errors.push(`${label} is not an object`);
+                    return;
                 }
-            },
-            nightOwl: {
-                id: 'nightOwl',
-                title: 'Night Owl',
-                description: 'Complete a task after 10 PM',
-                icon: '🦉',
-                category: 'time',
-                condition: (userStats, tasks) => {
-                    return tasks.some(task => {
-                        if (!task.completed || !task.completedAt) return false;
-                        const completedTime = new Date(task.completedAt);
-                        return completedTime.getHours() >= 22;
-                    });
+                if (!isId(task.id)) errors.push(`${label} has no valid id`);
+                if (!task.title || typeof task.title !== 'string') errors.push(`${label} has no title`);
+                if (!isDate(task.date)) errors.push(`${label} has an invalid date`);
+                if (!isTime(task.startTime) || !isTime(task.endTime)) {
+                    errors.push(`${label} has an invalid start or end time`);
                 }
-            },
-            taskMaster: {
-                id: 'taskMaster',
-                title: 'Task Master',
-                description: 'Complete 50 tasks total',
-                icon: '🎓',
-                category: 'milestone',
-                condition: (userStats) => userStats.completedTasks >= 50
-            },
-            prioritizer: {
-                id: 'prioritizer',
-                title: 'Priority Master',
-                description: 'Complete 10 high-priority tasks',
-                icon: '🎭',
-                category: 'priority',
-                condition: (userStats, tasks) => {
-                    const highPriorityCompleted = tasks.filter(task => 
-                        task.completed && task.priority === 'high'
-                    );
-                    return highPriorityCompleted.length >= 10;
+                if (!['high', 'medium', 'low'].includes(task.priority)) {
+                    errors.push(`${label} has an unknown priority`);
                 }
-            },
-            organizer: {
-                id: 'organizer',
-                title: 'Super Organizer',
-                description: 'Have 20 tasks scheduled in advance',
-                icon: '📋',
-                category: 'planning',
-                condition: (userStats, tasks) => {
-                    const futureTasks = tasks.filter(task => {
-                        const taskDate = new Date(task.date);
-                        const today = new Date();
-                        today.setHours(0, 0, 0, 0);
-                        return taskDate > today;
-                    });
-                    return futureTasks.length >= 20;
+                if (task.tags !== undefined && !(Array.isArray(task.tags) && task.tags.every(tag => typeof tag === 'string'))) {
+                    errors.push(`${label} has invalid tags`);
                 }
-            },
-            weekendWarrior: {
-                id: 'weekendWarrior',
-                title: 'Weekend Warrior',
-                description: 'Complete tasks on both Saturday and Sunday',
-                icon: '🏋️',
-                category: 'weekend',
-                condition: (userStats, tasks) => {
-                    const weekendTasks = tasks.filter(task => {
-                        const taskDate = new Date(task.date);
-                        const day = taskDate.getDay();
-                        return (day === 0 || day === 6) && task.completed;
-                    });
-                    
-                    const saturdayCompleted = weekendTasks.some(task => 
-                        new Date(task.date).getDay() === 6
-                    );
-                    const sundayCompleted = weekendTasks.some(task => 
-                        new Date(task.date).getDay() === 0
-                    );
-                    
-                    return saturdayCompleted && sundayCompleted;
+                if (task.project !== undefined && typeof task.project !== 'string') {
+                    errors.push(`${label} has an invalid project`);
+                }
+                if (task.subtasks !== undefined && !(Array.isArray(task.subtasks) && task.subtasks.every(item =>
+                    item && isId(item.id) && typeof item.title === 'string' && typeof item.done === 'boolean'
+                ))) {
+                    errors.push(`${label} has an invalid checklist`);
                 }
+                if (task.recurrence) {
+                    const problem = this.validateRecurrence(task.recurrence, task.date);
+                    if (problem) errors.push(`${label} has an invalid repeat rule: ${problem}`);
+                }
+            });
+        }
+
+        if (userData.badges !== undefined && !Array.isArray(userData.badges)) {
+            errors.push('Backup badges are not a list');
+        } else {
+            (userData.badges || []).forEach((badge, index) => {
+                if (!badge || !isId(badge.id)) errors.push(`Badge ${index + 1} has no valid id`);
+            });
+        }
+
+        return errors;
+    }
+
+    // Also checks the parts normalize() expects to be lists, since it can't
+    // fill those in
+    validateRecurrence(rule, date) {
+        const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        if (typeof rule !== 'object' || Array.isArray(rule)) {
+            return 'The rule is not an object';
+        }
+        if (rule.weekdays !== undefined && !Array.isArray(rule.weekdays)) {
+            return 'Weekdays are not a list';
+        }
+        if (rule.exceptions !== undefined && !(Array.isArray(rule.exceptions) && rule.exceptions.every(isDate))) {
+            return 'Skipped dates are not a list of dates';
+        }
+        if (rule.end && typeof rule.end !== 'object') {
+            return 'The end of the series is not an object';
+        }
+        return this.recurrence.validate(rule, date);
+    }
+
+    // Works out what importing `payload` would do without touching storage.
+    // `replace` swaps the user's tasks and badges for the imported ones;
+    // `merge` matches tasks by id, updating or adding them and keeping the rest.
+    planImport(payload, mode = 'replace') {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw new Error('Backup file is not a Mission Monitor export');
+        }
+
+        // Older exports are upgraded step by step; this throws on payloads
+        // from a newer app version or when a step fails
+        const userData = this.migrator.migrate(payload);
+        const errors = this.validateUserData(userData);
+        if (errors.length > 0) {
+            const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+            throw new Error(`Invalid backup: ${errors[0]}${more}`);
+        }
+
+        // Task ids are unique across all local users. A backup task whose id
+        // another user already has gets a new one, along with the references
+        // to it from detached series occurrences.
+        const data = this.getData();
+        const ownerById = new Map(data.tasks.map(task => [task.id, task.userId]));
+        const newIds = new Map(userData.tasks
+            .filter(task => ownerById.has(task.id) && ownerById.get(task.id) !== data.currentUser)
+            .map(task => [task.id, this.generateId()]));
+        userData.tasks = userData.tasks.map(task => newIds.has(task.id) || newIds.has(task.seriesId)
+            ? {
+                ...task,
+                id: newIds.get(task.id) || task.id,
+                ...(newIds.has(task.seriesId) ? { seriesId: newIds.get(task.seriesId) } : {})
+            }
+            : task);
+
+        const currentTasks = this.getUserTasks();
+        const currentBadges = this.getBadges();
+        const currentById = new Map(currentTasks.map(task => [task.id, task]));
+        const importedIds = new Set(userData.tasks.map(task => task.id));
+        const comparable = (task) => JSON.stringify({ ...task, userId: null });
+
+        const plan = {
+            mode,
+            userData,
+            tasks: { added: [], updated: [], unchanged: [], removed: [] },
+            badges: { added: [], removed: [] }
+        };
+
+        userData.tasks.forEach(task => {
+            const existing = currentById.get(task.id);
+            if (!existing) {
+                plan.tasks.added.push(task);
+            } else if (comparable(existing) !== comparable(task)) {
+                plan.tasks.updated.push(task);
+            } else {
+                plan.tasks.unchanged.push(task);
             }
+        });
+
+        if (mode === 'replace') {
+            plan.tasks.removed = currentTasks.filter(task => !importedIds.has(task.id));
+        }
+
+        const importedBadges = userData.badges || [];
+        const currentBadgeIds = new Set(currentBadges.map(badge => badge.id));
+        const importedBadgeIds = new Set(importedBadges.map(badge => badge.id));
+        plan.badges.added = importedBadges.filter(badge => !currentBadgeIds.has(badge.id));
+        if (mode === 'replace') {
+            plan.badges.removed = currentBadges.filter(badge => !importedBadgeIds.has(badge.id));
+        }
+
+        return plan;
+    }
+
+    // Settings in the payload only apply to the importing user: `replace`
+    // restores them as they were, `merge` only sets the ones the backup has
+    importUserData(payload, options = {}) {
+        const plan = this.planImport(payload, options.mode);
+        this.takeSnapshot('import');
+        const data = this.getData();
+        const currentUser = data.currentUser;
+        const importedAt = new Date().toISOString();
+        const revisions = new Map(this.getUserTasks().map(task => [task.id, task.revision]));
+        const changes = [];
+
+        plan.tasks.removed.forEach(task => {
+            changes.push(this.deleteChange('tasks', task.id));
+        });
+        [...plan.tasks.added, ...plan.tasks.updated].forEach(task => {
+            changes.push(this.putChange('tasks', {
+                ...task,
+                userId: currentUser,
+                updatedAt: importedAt,
+                revision: revisions.get(task.id) || task.revision
+            }));
+        });
+
+        plan.badges.removed.forEach(badge => {
+            changes.push(this.deleteChange('badges', [currentUser, badge.id]));
+        });
+        plan.badges.added.forEach(badge => {
+            changes.push(this.putChange('badges', { ...badge, userId: currentUser }));
+        });
+
+        if (plan.userData.settings && data.users[currentUser]) {
+            const current = data.users[currentUser].settings || {};
+            const imported = this.normalizeSettings(plan.userData.settings);
+            const settings = plan.mode === 'merge'
+                ? { ...current, ...imported }
+                : { ...imported, revision: current.revision, updatedAt: current.updatedAt };
+            changes.push(this.patchChange('users', currentUser, { settings }));
+        }
+
+        applyRecordChanges(data, changes);
+
+        return this.saveData(data, changes);
+    }
+
+    // Snapshots
+    // Restore points of the current user's data, kept apart from the live
+    // records. The data is captured right away; storing it finishes later.
+    takeSnapshot(reason) {
+        const username = this.getCurrentUser();
+        if (!username) return Promise.resolve(null);
+
+        const payload = this.exportUserData();
+        const snapshot = {
+            id: this.generateId(),
+            userId: username,
+            reason,
+            createdAt: payload.exportedAt,
+            taskCount: payload.tasks.length,
+            badgeCount: payload.badges.length
+        };
+
+        return this.sealSnapshot(snapshot, payload)
+            .then(record => this.adapter.putSnapshot(record))
+            .then(() => this.pruneSnapshots(username))
+            .then(() => snapshot)
+            .catch(error => {
+                console.error('Error saving snapshot:', error);
+                return null;
+            });
+    }
+
+    async sealSnapshot(snapshot, payload) {
+        const key = this.vaultKeys.get(snapshot.userId);
+        if (!key) {
+            return { ...snapshot, payload };
+        }
+        return {
+            ...snapshot,
+            sealed: await this.vaultCrypto.encrypt(key, payload, `snapshot:${snapshot.userId}:${snapshot.id}`)
+        };
+    }
+
+    // Newest first, with their payloads decrypted
+    async getSnapshots(username = this.getCurrentUser()) {
+        const key = this.vaultKeys.get(username);
+        const snapshots = await this.adapter.loadSnapshots(username);
+        const opened = await Promise.all(snapshots.map(async snapshot => {
+            if (!snapshot.sealed) return snapshot;
+            if (!key) return null;
+            const { sealed, ...rest } = snapshot;
+            return {
+                ...rest,
+                payload: await this.vaultCrypto.decrypt(key, sealed, `snapshot:${username}:${snapshot.id}`)
+            };
+        }));
+        return opened
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Returns how many snapshots were deleted
+    async pruneSnapshots(username, limit = this.adapter.snapshotLimit || this.snapshotLimit) {
+        const snapshots = await this.adapter.loadSnapshots(username);
+        const expired = snapshots
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(limit)
+            .map(snapshot => snapshot.id);
+        if (expired.length > 0) {
+            await this.adapter.deleteSnapshots(expired);
+        }
+        return expired.length;
+    }
+
+    // Re-stores a user's snapshots after their vault was turned on or off
+    async resealSnapshots(username, snapshots) {
+        for (const { payload, ...snapshot } of snapshots) {
+            await this.adapter.putSnapshot(await this.sealSnapshot(snapshot, payload));
+        }
+    }
+
+    // Retention
+    getRetentionPolicy() {
+        return this.getSetting('retention');
+    }
+
+    setRetentionPolicy(policy) {
+        return this.setSetting('retention', policy);
+    }
+
+    // Task list range
+    getTaskRange() {
+        return this.getSetting('taskRange');
+    }
+
+    setTaskRange(range) {
+        return this.setSetting('taskRange', range);
+    }
+
+    getTaskView() {
+        return this.getSetting('taskView');
+    }
+
+    // Minutes without activity before the app locks; 0 turns it off
+    getAutoLockMinutes() {
+        return this.getSetting('autoLockMinutes');
+    }
+
+    setAutoLockMinutes(minutes) {
+        return this.setSetting('autoLockMinutes', minutes);
+    }
+
+    // Applies the retention policy to the current user's tasks and returns
+    // how many tasks were purged from the trash and cleaned up
+    applyRetentionPolicy() {
+        const policy = this.getRetentionPolicy();
+        const result = { purged: this.purgeTrash(policy.trashDays), cleaned: 0 };
+        if (policy.completedAction !== 'keep') {
+            result.cleaned = this.cleanupOldData(policy.completedDays, policy.completedAction);
+        }
+        return result;
+    }
+
+    purgeTrash(daysToKeep = 30) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+        const expired = this.getTrashedTasks()
+            .filter(task => new Date(task.deletedAt) <= cutoffDate)
+            .map(task => task.id);
+        if (expired.length > 0) {
+            this.purgeTasks(expired);
+        }
+        return expired.length;
+    }
+
+    // `action` is 'archive' to keep old completed tasks for statistics and
+    // badges, or 'delete' to move them to the trash
+    cleanupOldData(daysToKeep = 90, action = 'delete') {
+        const data = this.getData();
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+        // Clean old completed tasks
+        const now = new Date().toISOString();
+        const field = action === 'archive' ? 'archivedAt' : 'deletedAt';
+        const expired = data.tasks.filter(task =>
+            task.userId === data.currentUser && task.completed &&
+            !task.deletedAt && !task[field] &&
+            new Date(task.completedAt || task.createdAt) <= cutoffDate
+        );
+        if (expired.length === 0) return 0;
+
+        this.takeSnapshot('cleanup');
+        const patch = { [field]: now, updatedAt: now };
+        const changes = expired.map(task => {
+            Object.assign(task, patch);
+            return this.patchChange('tasks', task.id, { ...patch });
+        });
+        this.saveData(data, changes);
+        return changes.length;
+    }
+}
+
+// Cross-Tab Synchronization
+class TabSyncManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.tabId = storageManager.generateId();
+        this.channelName = 'missionMonitorSync';
+        this.channel = null;
+        this.init();
+    }
+
+    init() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        } else {
+            // Older browsers: relay messages through storage events
+            window.addEventListener('storage', (event) => {
+                if (event.key === this.channelName && event.newValue) {
+                    this.handleMessage(JSON.parse(event.newValue));
+                }
+            });
+        }
+
+        this.storage.onChange(changes => this.broadcast(changes));
+    }
+
+    broadcast(changes) {
+        // The storage event fallback passes messages through localStorage,
+        // where records from an encrypted vault must not appear in plain
+        // text; other tabs reload from storage instead
+        if (!this.channel && changes && changes.some(change =>
+            this.storage.isVaultChange(this.storage.getData(), change))) {
+            changes = null;
+        }
+
+        const message = {
+            source: this.tabId,
+            // Serialized up front: records may hold functions (badge
+            // conditions) that structured clone refuses to post
+            changes: changes ? JSON.parse(JSON.stringify(changes)) : null,
+            sentAt: Date.now()
+        };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                localStorage.setItem(this.channelName, JSON.stringify(message));
+            }
+        } catch (error) {
+            console.error('Error broadcasting changes:', error);
+        }
+    }
+
+    handleMessage(message) {
+        if (!message || message.source === this.tabId) return;
+        this.storage.applyRemoteChanges(message.changes)
+            .catch(error => console.error('Error applying changes from another tab:', error));
+    }
+}
+
+// Authentication System
+class AuthManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.currentSession = null;
+        this.sessionDuration = 12 * 60 * 60 * 1000;
+        this.rememberDuration = 30 * 24 * 60 * 60 * 1000;
+        this.maxPinAttempts = 5;
+        this.recoveryCodeCount = 10;
+        // Recovery codes are random, so they need far fewer rounds than a
+        // password to be safe from guessing
+        this.recoveryIterations = 10000;
+        this.recoveryAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        this.init();
+    }
+
+    init() {
+        // Check for existing session; an encrypted vault needs the password
+        // again after a reload
+        const currentUser = this.storage.getCurrentUser();
+        if (currentUser && this.isSessionValid() && !this.storage.isVaultLocked(currentUser)) {
+            this.currentSession = currentUser;
+        }
+    }
+
+    // Sign-ins from before sessions existed have no session record and so
+    // need a fresh sign-in
+    isSessionValid() {
+        const session = this.storage.getSession();
+        return Boolean(session) && session.username === this.storage.getCurrentUser() &&
+            !session.locked && new Date(session.expiresAt) > new Date();
+    }
+
+    startSession(username, remember) {
+        const now = Date.now();
+        return this.storage.startSession({
+            username,
+            remember,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + (remember ? this.rememberDuration : this.sessionDuration)).toISOString(),
+            locked: false
+        });
+    }
+
+    // Unlocking counts as signing in again, so the expiry starts over
+    renewSession() {
+        const session = this.storage.getSession();
+        const duration = session && session.remember ? this.rememberDuration : this.sessionDuration;
+        return this.storage.updateSession({
+            expiresAt: new Date(Date.now() + duration).toISOString(),
+            locked: false
+        });
+    }
+
+    hashPassword(password) {
+        return this.storage.vaultCrypto.hashPassword(password);
+    }
+
+    // Accounts created before salted hashing store this 32-bit hash as a
+    // string. It is only used to check them once and upgrade them.
+    legacyHashPassword(password) {
+        let hash = 0;
+        for (let i = 0; i < password.length; i++) {
+            const char = password.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32-bit integer
+        }
+        return hash.toString();
+    }
+
+    checkPassword(user, password) {
+        if (typeof user.passwordHash === 'string') {
+            return Promise.resolve(user.passwordHash === this.legacyHashPassword(password));
+        }
+        return this.storage.vaultCrypto.verifyPassword(password, user.passwordHash);
+    }
+
+    needsRehash(user) {
+        const stored = user.passwordHash;
+        return typeof stored === 'string' ||
+            stored.algorithm !== this.storage.vaultCrypto.passwordAlgorithm ||
+            stored.iterations < this.storage.vaultCrypto.iterations;
+    }
+
+    async register(username, password, displayName) {
+        if (!username || !password || !displayName) {
+            throw new Error('All fields are required');
+        }
+
+        if (username.length < 3) {
+            throw new Error('Username must be at least 3 characters');
+        }
+
+        if (password.length < 6) {
+            throw new Error('Password must be at least 6 characters');
+        }
+
+        const existingUser = this.storage.getUser(username);
+        if (existingUser) {
+            throw new Error('Username already exists');
+        }
+
+        const userData = {
+            username,
+            displayName,
+            passwordHash: await this.hashPassword(password)
+        };
+
+        const success = this.storage.addUser(userData);
+        if (success) {
+            return this.login(username, password);
+        } else {
+            throw new Error('Failed to create account');
+        }
+    }
+
+    async login(username, password, remember = false) {
+        if (!username || !password) {
+            throw new Error('Username and password are required');
+        }
+
+        const user = this.storage.getUser(username);
+        if (!user) {
+            throw new Error('Invalid username or password');
+        }
+
+        if (!await this.checkPassword(user, password)) {
+            throw new Error('Invalid username or password');
+        }
+
+        // Older hashes are replaced while the password is at hand
+        if (this.needsRehash(user)) {
+            this.storage.updateUser(username, { passwordHash: await this.hashPassword(password) });
+        }
+        if (user.pinAttempts) {
+            this.storage.updateUser(username, { pinAttempts: 0 });
+        }
+
+        this.currentSession = username;
+        this.startSession(username, remember);
+        return true;
+    }
+
+    // Decrypts the signed-in user's data when it lives in an encrypted vault
+    async unlockVault(password) {
+        const user = this.getCurrentUserData();
+        if (!user || !user.vault) return true;
+
+        try {
+            await this.storage.openVault(user.username, password);
+            return true;
+        } catch (error) {
+            console.error('Error opening vault:', error);
+            this.logout();
+            throw new Error('Your data could not be decrypted');
+        }
+    }
+
+    async verifyPassword(password) {
+        const user = this.getCurrentUserData();
+        return Boolean(user) && await this.checkPassword(user, password);
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        const user = this.getCurrentUserData();
+        if (!user) {
+            throw new Error('You are not signed in');
+        }
+
+        if (!await this.verifyPassword(currentPassword)) {
+            throw new Error('Current password is incorrect');
+        }
+
+        if (newPassword.length < 6) {
+            throw new Error('Password must be at least 6 characters');
+        }
+
+        // The vault's data key is re-wrapped with the new password in the
+        // same write as the new hash, so the two can't get out of step
+        const updates = { passwordHash: await this.hashPassword(newPassword) };
+        if (user.vault) {
+            updates.vault = await this.storage.rewrapVault(user.username, newPassword);
+        }
+        if (!this.storage.updateUser(user.username, updates) || await this.storage.pendingWrite === false) {
+            throw new Error('Failed to save the new password');
+        }
+        return true;
+    }
+
+    updateDisplayName(displayName) {
+        const user = this.getCurrentUserData();
+        if (!user) {
+            throw new Error('You are not signed in');
+        }
+
+        if (!displayName) {
+            throw new Error('Display name is required');
+        }
+
+        if (!this.storage.updateUser(user.username, { displayName })) {
+            throw new Error('Failed to save the display name');
+        }
+        return true;
+    }
+
+    // An empty PIN removes it
+    async setPin(password, pin) {
+        const user = this.getCurrentUserData();
+        if (!user) {
+            throw new Error('You are not signed in');
+        }
+
+        if (!await this.verifyPassword(password)) {
+            throw new Error('Password is incorrect');
+        }
+
+        if (pin && !/^\d{4,8}$/.test(pin)) {
+            throw new Error('PIN must be 4 to 8 digits');
+        }
+
+        const pinHash = pin ? await this.hashPassword(pin) : null;
+        if (!this.storage.updateUser(user.username, { pinHash, pinAttempts: 0 })) {
+            throw new Error('Failed to save the PIN');
+        }
+        return true;
+    }
+
+    // A PIN can't open an encrypted vault, so it only works for profiles
+    // whose data is already readable in this tab. After too many wrong PINs
+    // the profile needs its password until it is used once.
+    canUsePin(username) {
+        const user = this.storage.getUser(username);
+        return Boolean(user && user.pinHash) && (user.pinAttempts || 0) < this.maxPinAttempts &&
+            !this.storage.isVaultLocked(username);
+    }
+
+    // Signs another local user in on this tab with their PIN or password.
+    // The previous user's vault is closed, so their data can't be read
+    // here again without their password.
+    async switchUser(username, secret) {
+        const user = this.storage.getUser(username);
+        if (!user) {
+            throw new Error('Profile not found');
+        }
+
+        const previous = this.currentSession;
+        if (!this.canUsePin(username)) {
+            await this.login(username, secret);
+            await this.unlockVault(secret);
+        } else {
+            if (!await this.storage.vaultCrypto.verifyPassword(secret, user.pinHash)) {
+                const pinAttempts = (user.pinAttempts || 0) + 1;
+                this.storage.updateUser(username, { pinAttempts });
+                throw new Error(pinAttempts >= this.maxPinAttempts
+                    ? 'Too many incorrect PINs. Enter the password instead.'
+                    : 'Incorrect PIN');
+            }
+            if (user.pinAttempts) {
+                this.storage.updateUser(username, { pinAttempts: 0 });
+            }
+            this.currentSession = username;
+            this.startSession(username, false);
+        }
+
+        if (previous && previous !== username) {
+            await this.storage.closeVault(previous);
+        }
+        return true;
+    }
+
+    // Recovery codes
+    // Each code is stored as a hash and, with encryption on, as another
+    // wrapped copy of the vault's data key, so a code can both prove who
+    // you are and re-key your data to a new password.
+    createRecoveryCode() {
+        const chars = Array.from(this.storage.vaultCrypto.randomBytes(12))
+            .map(byte => this.recoveryAlphabet[byte % this.recoveryAlphabet.length]);
+        return chars.join('').match(/.{4}/g).join('-');
+    }
+
+    normalizeRecoveryCode(code) {
+        const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return chars.length === 12 ? chars.match(/.{4}/g).join('-') : null;
+    }
+
+    // Replaces the signed-in user's codes and returns the new ones; this is
+    // the only time they are available in plain text
+    async generateRecoveryCodes() {
+        const user = this.getCurrentUserData();
+        if (!user) {
+            throw new Error('You are not signed in');
+        }
+
+        const vaultCrypto = this.storage.vaultCrypto;
+        const salt = vaultCrypto.randomBytes(16);
+        const codes = Array.from({ length: this.recoveryCodeCount }, () => this.createRecoveryCode());
+        const entries = await Promise.all(codes.map(async code => ({
+            hash: (await vaultCrypto.hashPassword(code, salt, this.recoveryIterations)).hash,
+            vault: user.vault ? await this.storage.rewrapVault(user.username, code, this.recoveryIterations) : null,
+            usedAt: null
+        })));
+
+        const recovery = {
+            algorithm: vaultCrypto.passwordAlgorithm,
+            iterations: this.recoveryIterations,
+            salt: vaultCrypto.toBase64(salt),
+            createdAt: new Date().toISOString(),
+            codes: entries
+        };
+        if (!this.storage.updateUser(user.username, { recovery }) || await this.storage.pendingWrite === false) {
+            throw new Error('Failed to save the recovery codes');
+        }
+        return codes;
+    }
+
+    getUnusedRecoveryCodeCount(username = this.currentSession) {
+        const user = this.storage.getUser(username);
+        return user && user.recovery ? user.recovery.codes.filter(entry => !entry.usedAt).length : 0;
+    }
+
+    // Sets a new password with a recovery code, which is then used up
+    async recoverAccount(username, code, newPassword) {
+        const user = this.storage.getUser(username);
+        const normalized = this.normalizeRecoveryCode(code);
+        if (!user || !user.recovery || !normalized) {
+            throw new Error('Invalid username or recovery code');
+        }
+
+        if (newPassword.length < 6) {
+            throw new Error('Password must be at least 6 characters');
+        }
+
+        const vaultCrypto = this.storage.vaultCrypto;
+        const { hash } = await vaultCrypto.hashPassword(
+            normalized, vaultCrypto.fromBase64(user.recovery.salt), user.recovery.iterations
+        );
+        const index = user.recovery.codes.findIndex(entry => entry.hash === hash && !entry.usedAt);
+        if (index === -1) {
+            throw new Error('Invalid username or recovery code');
+        }
+
+        const updates = { passwordHash: await this.hashPassword(newPassword) };
+        if (user.vault) {
+            const entry = user.recovery.codes[index];
+            if (!entry.vault) {
+                throw new Error('This recovery code was created before encryption was turned on and cannot unlock your data');
+            }
+            const key = await vaultCrypto.unwrapVaultKey(entry.vault, normalized);
+            updates.vault = await vaultCrypto.wrapVaultKey(key, newPassword);
+        }
+        updates.recovery = {
+            ...user.recovery,
+            codes: user.recovery.codes.map((entry, i) =>
+                i === index ? { ...entry, usedAt: new Date().toISOString() } : entry
+            )
+        };
+
+        if (!this.storage.updateUser(username, updates) || await this.storage.pendingWrite === false) {
+            throw new Error('Failed to save the new password');
+        }
+        return true;
+    }
+
+    async deleteAccount(password) {
+        const user = this.getCurrentUserData();
+        if (!user) {
+            throw new Error('You are not signed in');
+        }
+
+        if (!await this.verifyPassword(password)) {
+            throw new Error('Password is incorrect');
+        }
+
+        if (!await this.storage.deleteUser(user.username)) {
+            throw new Error('Failed to delete the account');
+        }
+        this.currentSession = null;
+        return true;
+    }
+
+    logout() {
+        this.currentSession = null;
+        this.storage.endSession();
+        return true;
+    }
+
+    isLoggedIn() {
+        return this.currentSession !== null;
+    }
+
+    getCurrentUserData() {
+        if (!this.currentSession) return null;
+        return this.storage.getUser(this.currentSession);
+    }
+}
+
+// Auto-Lock System
+class AutoLockManager {
+    constructor(authManager, storageManager) {
+        this.auth = authManager;
+        this.storage = storageManager;
+        this.locked = false;
+        this.lastActivity = Date.now();
+        this.checkInterval = 15 * 1000;
+        this.activityEvents = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'wheel', 'scroll'];
+        this.init();
+    }
+
+    init() {
+        const recordActivity = () => {
+            this.lastActivity = Date.now();
+        };
+        this.activityEvents.forEach(eventName => {
+            document.addEventListener(eventName, recordActivity, { capture: true, passive: true });
+        });
+
+        const lockForm = document.getElementById('lockForm');
+        if (lockForm) {
+            lockForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.unlock();
+            });
+        }
+
+        setInterval(() => this.checkIdle(), this.checkInterval);
+    }
+
+    // Locks after the idle period, and when the session runs out while the
+    // app is open
+    checkIdle() {
+        if (this.locked || !this.auth.isLoggedIn()) return;
+
+        const minutes = this.storage.getAutoLockMinutes();
+        const idle = minutes > 0 && Date.now() - this.lastActivity >= minutes * 60 * 1000;
+        if (idle || !this.auth.isSessionValid()) {
+            this.lock();
+        }
+    }
+
+    // The app stays as it is underneath; only the lock screen is shown over it
+    lock(persist = true) {
+        if (this.locked || !this.auth.isLoggedIn()) return;
+        this.locked = true;
+
+        const user = this.auth.getCurrentUserData();
+        document.getElementById('lockUserName').textContent = user ? (user.displayName || user.username) : '';
+        document.getElementById('lockError').textContent = '';
+        document.getElementById('lockScreen').style.display = 'flex';
+        document.getElementById('lockPassword').focus();
+
+        if (persist) {
+            this.storage.updateSession({ locked: true });
+        }
+    }
+
+    async unlock() {
+        const passwordInput = document.getElementById('lockPassword');
+        if (!await this.auth.verifyPassword(passwordInput.value)) {
+            document.getElementById('lockError').textContent = 'Incorrect password';
+            passwordInput.select();
+            return false;
+        }
+
+        passwordInput.value = '';
+        this.hide();
+        this.auth.renewSession();
+        return true;
+    }
+
+    hide() {
+        this.locked = false;
+        this.lastActivity = Date.now();
+        document.getElementById('lockScreen').style.display = 'none';
+    }
+
+    // Locking or unlocking in one tab does the same in the others
+    syncWithSession() {
+        if (!this.auth.isLoggedIn()) return;
+
+        const session = this.storage.getSession();
+        if (session && session.locked && !this.locked) {
+            this.lock(false);
+        } else if (session && !session.locked && this.locked) {
+            document.getElementById('lockPassword').value = '';
+            this.hide();
+        }
+    }
+}
+
+// Task Management System
+class TaskManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.recurrence = storageManager.recurrence;
+        // Tags match when a task has any (or, with tagMode 'all', every) one
+        // of them; project '' stands for tasks without a project
+        this.currentFilter = { priority: 'all', status: 'all', project: 'all', tags: [], tagMode: 'any' };
+        this.searchQuery = '';
+        this.searchTerms = [];
+        this.rangeSizes = ['day', 'week', '15days', 'month', 'all'];
+        // Date groups are added to the list this many at a time as it scrolls
+        this.dateGroupBatch = 10;
+        this.pendingDateGroups = [];
+        // The day planner looks for free time within these hours, and
+        // moving or resizing a block snaps to this many minutes
+        this.plannerHours = { start: '08:00', end: '20:00' };
+        this.plannerSnapMinutes = 15;
+        this.timelineDrag = null;
+        this.nowLineTimer = null;
+        this.dateGroupObserver = typeof IntersectionObserver === 'undefined' ? null : new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) this.renderMoreDateGroups();
+        }, { rootMargin: '400px' });
+        this.pendingDeleteId = null;
+        this.init();
+    }
+
+    init() {
+        this.renderTasks();
+        this.updateStats();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // init() runs again on every sign-in; the listeners are only added once
+        if (this.listenersReady) return;
+        this.listenersReady = true;
+
+        // Add task form
+        const addTaskForm = document.getElementById('addTaskForm');
+        if (addTaskForm) {
+            addTaskForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleAddTask();
+            });
+        }
+
+        // Edit task form
+        const editTaskForm = document.getElementById('editTaskForm');
+        if (editTaskForm) {
+            editTaskForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleEditTask();
+            });
+        }
+
+        // Task cards and calendar views. Blocks in the day planner are also
+        // moved by dragging and resized by their bottom edge
+        const tasksContainer = document.getElementById('tasksContainer');
+        if (tasksContainer) {
+            tasksContainer.addEventListener('click', (e) => this.handleTaskAction(e));
+            tasksContainer.addEventListener('change', (e) => this.handleSubtaskChange(e));
+            tasksContainer.addEventListener('keydown', (e) => this.handleCalendarKey(e));
+            tasksContainer.addEventListener('pointerdown', (e) => this.startTimelineDrag(e));
+            document.addEventListener('pointermove', (e) => this.moveTimelineDrag(e));
+            document.addEventListener('pointerup', () => this.endTimelineDrag());
+            document.addEventListener('pointercancel', () => this.cancelTimelineDrag());
+        }
+
+        // Set default date to today
+        const taskDateInput = document.getElementById('taskDate');
+        if (taskDateInput) {
+            taskDateInput.value = new Date().toISOString().split('T')[0];
+        }
+
+        // Repeat options follow the chosen pattern and the task date
+        ['task', 'editTask'].forEach(prefix => {
+            [`${prefix}Repeat`, `${prefix}RepeatEnd`, `${prefix}Date`].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) {
+                    input.addEventListener('change', () => this.updateRecurrenceForm(prefix));
+                }
+            });
+        });
+
+        const editScope = document.getElementById('editTaskScope');
+        if (editScope) {
+            editScope.addEventListener('change', () => this.updateEditScope());
+        }
+
+        // Checklist editor: Enter adds an item instead of submitting the form
+        const checklistInput = document.getElementById('editTaskChecklistInput');
+        if (checklistInput) {
+            checklistInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.addChecklistItem();
+                }
+            });
+        }
+
+        // Tag editors: Enter or a comma turns the typed text into a chip
+        ['task', 'editTask'].forEach(prefix => {
+            const tagInput = document.getElementById(`${prefix}TagInput`);
+            const tagList = document.getElementById(`${prefix}Tags`);
+            if (!tagInput || !tagList) return;
+
+            tagInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ',') {
+                    e.preventDefault();
+                    this.addTagsFromInput(prefix);
+                } else if (e.key === 'Backspace' && !tagInput.value && tagList.lastElementChild) {
+                    tagList.lastElementChild.remove();
+                }
+            });
+            tagInput.addEventListener('blur', () => this.addTagsFromInput(prefix));
+            tagList.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('.tag-remove');
+                if (removeButton) {
+                    removeButton.closest('.tag-chip').remove();
+                }
+            });
+        });
+
+        const checklist = document.getElementById('editTaskChecklist');
+        if (checklist) {
+            checklist.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('.checklist-remove');
+                if (removeButton) {
+                    removeButton.closest('li').remove();
+                }
+            });
+        }
+    }
+
+    // Card buttons and calendar blocks name an action in data-task-action;
+    // the task is the one on the closest element with data-task-id
+    handleTaskAction(e) {
+        const target = e.target.closest('[data-task-action]');
+        const owner = target && target.closest('[data-task-id]');
+        if (!owner) return;
+
+        const taskId = owner.dataset.taskId;
+        const actions = {
+            complete: () => this.completeTask(taskId),
+            archive: () => this.archiveTask(taskId),
+            edit: () => this.editTask(taskId),
+            delete: () => this.deleteTask(taskId)
+        };
+        actions[target.dataset.taskAction]();
+    }
+
+    // Shared by the task forms and file imports; returns an error message
+    // or null when the task can be saved
+    validateTask(task) {
+        if (!task.title || !task.date || !task.startTime || !task.endTime) {
+            return 'Please fill in all required fields';
+        }
+
+        if (task.startTime >= task.endTime) {
+            return 'End time must be after start time';
+        }
+
+        if (task.recurrence) {
+            return this.recurrence.validate(task.recurrence, task.date);
+        }
+
+        return null;
+    }
+
+    // Recurrence form
+    // The add and edit modals share the same repeat fields, with ids
+    // prefixed `task` and `editTask`
+    readRecurrenceForm(prefix) {
+        const frequency = document.getElementById(`${prefix}Repeat`).value;
+        if (frequency === 'none') return null;
+
+        return {
+            frequency,
+            interval: frequency === 'weekdays' ? 1 : Number(document.getElementById(`${prefix}RepeatInterval`).value),
+            weekdays: frequency === 'weekly'
+                ? [...document.querySelectorAll(`#${prefix}RepeatWeekdays input:checked`)].map(input => Number(input.value))
+                : [],
+            monthlyBy: document.getElementById(`${prefix}RepeatMonthly`).value,
+            end: {
+                type: document.getElementById(`${prefix}RepeatEnd`).value,
+                count: Number(document.getElementById(`${prefix}RepeatCount`).value),
+                until: document.getElementById(`${prefix}RepeatUntil`).value || null
+            },
+            exceptions: []
+        };
+    }
+
+    fillRecurrenceForm(prefix, recurrence) {
+        const rule = recurrence ? this.recurrence.normalize(recurrence) : null;
+        document.getElementById(`${prefix}Repeat`).value = rule ? rule.frequency : 'none';
+        document.getElementById(`${prefix}RepeatInterval`).value = rule ? rule.interval : 1;
+        document.getElementById(`${prefix}RepeatMonthly`).value = rule ? rule.monthlyBy : 'date';
+        document.getElementById(`${prefix}RepeatEnd`).value = rule ? rule.end.type : 'never';
+        document.getElementById(`${prefix}RepeatCount`).value = rule && rule.end.type === 'count' ? rule.end.count : 10;
+        document.getElementById(`${prefix}RepeatUntil`).value = (rule && rule.end.until) || '';
+        document.querySelectorAll(`#${prefix}RepeatWeekdays input`).forEach(input => {
+            input.checked = Boolean(rule) && rule.weekdays.includes(Number(input.value));
+        });
+        this.updateRecurrenceForm(prefix);
+    }
+
+    // Shows only the options that apply to the chosen pattern and keeps the
+    // monthly choices in step with the task date
+    updateRecurrenceForm(prefix) {
+        const section = document.getElementById(`${prefix}Recurrence`);
+        if (!section) return;
+
+        const frequency = document.getElementById(`${prefix}Repeat`).value;
+        section.dataset.frequency = frequency;
+        section.dataset.end = document.getElementById(`${prefix}RepeatEnd`).value;
+        document.getElementById(`${prefix}RepeatUnit`).textContent =
+            { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }[frequency] || '';
+
+        const date = document.getElementById(`${prefix}Date`).value;
+        if (!date) return;
+
+        const monthly = document.getElementById(`${prefix}RepeatMonthly`);
+        monthly.options[0].textContent = `On ${this.recurrence.describeMonthlyDay('date', date)}`;
+        monthly.options[1].textContent = `On ${this.recurrence.describeMonthlyDay('weekday', date)}`;
+
+        const weekdays = [...section.querySelectorAll(`#${prefix}RepeatWeekdays input`)];
+        if (frequency === 'weekly' && !weekdays.some(input => input.checked)) {
+            const day = this.recurrence.toDate(date).getUTCDay();
+            weekdays.forEach(input => {
+                input.checked = Number(input.value) === day;
+            });
+        }
+    }
+
+    // Tags and projects
+    getAllTags() {
+        const tags = this.storage.getUserTasks()
+            .filter(task => !task.deletedAt)
+            .flatMap(task => task.tags || []);
+        return [...new Set(tags)].sort();
+    }
+
+    getAllProjects() {
+        const projects = this.storage.getUserTasks()
+            .filter(task => !task.deletedAt && task.project)
+            .map(task => task.project);
+        return [...new Set(projects)].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Each tag keeps the same color everywhere
+    getTagHue(tag) {
+        let hash = 0;
+        for (const char of tag) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return hash;
+    }
+
+    createTagChip(tag, removable = false) {
+        return `
+            <span class="tag-chip" style="--tag-hue: ${this.getTagHue(tag)}" data-tag="${escapeHtml(tag)}">
+                #${escapeHtml(tag)}
+                ${removable ? `
+                    <button type="button" class="tag-remove" aria-label="Remove tag">
+                        <i class="fas fa-times"></i>
+                    </button>
+                ` : ''}
+            </span>
+        `;
+    }
+
+    renderTagEditor(prefix, tags = []) {
+        document.getElementById(`${prefix}Tags`).innerHTML = tags.map(tag => this.createTagChip(tag, true)).join('');
+        document.getElementById(`${prefix}TagInput`).value = '';
+    }
+
+    addTagsFromInput(prefix) {
+        const input = document.getElementById(`${prefix}TagInput`);
+        const tags = parseTags([...this.readTagChips(prefix), ...parseTags(input.value)]);
+        this.renderTagEditor(prefix, tags);
+    }
+
+    readTagChips(prefix) {
+        return [...document.querySelectorAll(`#${prefix}Tags .tag-chip`)].map(chip => chip.dataset.tag);
+    }
+
+    // Includes text still in the input that wasn't turned into a chip
+    readTagEditor(prefix) {
+        return parseTags([...this.readTagChips(prefix), ...parseTags(document.getElementById(`${prefix}TagInput`).value)]);
+    }
+
+    // Autocomplete lists for the add and edit modals
+    updateSuggestions() {
+        const options = values => values.map(value => `<option value="${escapeHtml(value)}"></option>`).join('');
+        document.getElementById('tagSuggestions').innerHTML = options(this.getAllTags());
+        document.getElementById('projectSuggestions').innerHTML = options(this.getAllProjects());
+    }
+
+    // Keeps the project and tag filters in step with the tasks, dropping
+    // choices that no longer match any task
+    renderFilterOptions() {
+        const projectFilter = document.getElementById('projectFilter');
+        const tagOptions = document.getElementById('tagFilterOptions');
+        if (!projectFilter || !tagOptions) return;
+
+        const projects = this.getAllProjects();
+        const tags = this.getAllTags();
+        if (this.currentFilter.project !== 'all' && this.currentFilter.project !== '' &&
+            !projects.includes(this.currentFilter.project)) {
+            this.currentFilter.project = 'all';
+        }
+        this.currentFilter.tags = this.currentFilter.tags.filter(tag => tags.includes(tag));
+
+        projectFilter.innerHTML = `
+            <option value="all">All Projects</option>
+            <option value="">No Project</option>
+            ${projects.map(project => `<option value="${escapeHtml(project)}">${escapeHtml(project)}</option>`).join('')}
+        `;
+        projectFilter.value = this.currentFilter.project;
+
+        tagOptions.innerHTML = tags.length === 0
+            ? '<p class="form-hint">No tags yet</p>'
+            : tags.map(tag => `
+                <label>
+                    <input type="checkbox" value="${escapeHtml(tag)}" ${this.currentFilter.tags.includes(tag) ? 'checked' : ''}
+                           onchange="filterTasks()">
+                    ${this.createTagChip(tag)}
+                </label>
+            `).join('');
+
+        const count = this.currentFilter.tags.length;
+        document.getElementById('tagFilterLabel').textContent = count === 0
+            ? 'All Tags'
+            : `${count} Tag${count === 1 ? '' : 's'} (${this.currentFilter.tagMode === 'all' ? 'all' : 'any'})`;
+    }
+
+    renderProjectStats(byProject) {
+        const container = document.getElementById('projectStats');
+        if (!container) return;
+
+        // Only worth showing once at least one task has a project
+        const projects = Object.keys(byProject).filter(Boolean).sort((a, b) => a.localeCompare(b));
+        if (projects.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        if (byProject['']) projects.push('');
+
+        container.innerHTML = projects.map(project => `
+            <div class="project-stat">
+                <i class="fas ${project ? 'fa-folder' : 'fa-inbox'}"></i>
+                <span>${project ? escapeHtml(project) : 'No project'}</span>
+                <strong>${byProject[project].completed}/${byProject[project].total}</strong>
+            </div>
+        `).join('');
+    }
+
+    // Checklist form
+    renderChecklistForm(subtasks = []) {
+        document.getElementById('editTaskChecklist')
+            .replaceChildren(...subtasks.map(item => this.createChecklistRow(item)));
+    }
+
+    // Item values are set on the elements rather than written into markup
+    createChecklistRow(item) {
+        const row = document.createElement('li');
+        row.dataset.subtaskId = item.id;
+        row.innerHTML = `
+            <input type="checkbox" aria-label="Done">
+            <input type="text" aria-label="Checklist item">
+            <button type="button" class="checklist-remove" aria-label="Remove item">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        row.querySelector('input[type="checkbox"]').defaultChecked = Boolean(item.done);
+        row.querySelector('input[type="text"]').defaultValue = item.title;
+        return row;
+    }
+
+    addChecklistItem() {
+        const input = document.getElementById('editTaskChecklistInput');
+        const title = input.value.trim();
+        if (!title) return;
+
+        document.getElementById('editTaskChecklist').appendChild(
+            this.createChecklistRow({ id: this.storage.generateId(), title, done: false })
+        );
+        input.value = '';
+        input.focus();
+    }
+
+    // Items left empty are dropped
+    readChecklistForm() {
+        return [...document.querySelectorAll('#editTaskChecklist li')]
+            .map(row => ({
+                id: row.dataset.subtaskId,
+                title: row.querySelector('input[type="text"]').value.trim(),
+                done: row.querySelector('input[type="checkbox"]').checked
+            }))
+            .filter(item => item.title);
+    }
+
+    isChecklistDone(task) {
+        return Boolean(task.subtasks && task.subtasks.length > 0 && task.subtasks.every(item => item.done));
+    }
+
+    // Card checkboxes name their item by its position in the checklist
+    handleSubtaskChange(e) {
+        const checkbox = e.target.closest('[data-subtask-index]');
+        const card = checkbox && checkbox.closest('[data-task-id]');
+        if (!card) return;
+
+        const task = this.findTask(card.dataset.taskId);
+        const item = task && (task.subtasks || [])[Number(checkbox.dataset.subtaskIndex)];
+        if (item) {
+            this.toggleSubtask(card.dataset.taskId, item.id);
+        }
+    }
+
+    // Ticks a checklist item from the task card. Ticking an occurrence of a
+    // series stores that occurrence on its own, like completing it does
+    toggleSubtask(taskId, subtaskId) {
+        const task = this.findTask(taskId);
+        if (!task || task.completed) return;
+
+        const subtasks = (task.subtasks || []).map(item =>
+            item.id === subtaskId ? { ...item, done: !item.done } : item
+        );
+        const step = this.beginHistoryStep('Checklist updated', [task.virtual ? task.seriesId : task.id]);
+        const updatedTask = task.virtual
+            ? this.storage.detachOccurrence(task, { subtasks })
+            : this.storage.updateTask(task.id, { subtasks });
+        if (!updatedTask) {
+            // Puts the checkbox back as it was
+            this.renderTasks();
+            return;
+        }
+
+        if (task.virtual && window.notificationManager) {
+            window.notificationManager.scheduleTaskNotifications(updatedTask);
+        }
+
+        if (step) {
+            step.commit(task.virtual ? [updatedTask.id] : []);
+        }
+
+        if (updatedTask.autoCompleteChecklist && this.isChecklistDone(updatedTask)) {
+            this.completeTask(updatedTask.id);
+            return;
+        }
+
+        const card = document.querySelector(`.task-card[data-task-id="${taskId}"]`);
+        if (card) {
+            card.outerHTML = this.createTaskCard(updatedTask);
+        } else {
+            this.renderTasks();
+        }
+    }
+
+    updateEditScope() {
+        const scopeGroup = document.getElementById('editTaskScopeGroup');
+        const thisOnly = scopeGroup.style.display !== 'none' && document.getElementById('editTaskScope').value === 'this';
+        document.getElementById('editTaskRecurrence').style.display = thisOnly ? 'none' : '';
+    }
+
+    handleAddTask() {
+        const title = document.getElementById('taskTitle').value.trim();
+        const description = document.getElementById('taskDescription').value.trim();
+        const priority = document.getElementById('taskPriority').value;
+        const date = document.getElementById('taskDate').value;
+        const startTime = document.getElementById('taskStartTime').value;
+        const endTime = document.getElementById('taskEndTime').value;
+
+        const task = {
+            title,
+            description,
+            priority,
+            date,
+            startTime,
+            endTime,
+            project: document.getElementById('taskProject').value.trim(),
+            tags: this.readTagEditor('task')
+        };
+
+        const recurrence = this.readRecurrenceForm('task');
+        if (recurrence) {
+            task.recurrence = recurrence;
+        }
+
+        const error = this.validateTask(task);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        const step = this.beginHistoryStep('Task added');
+        const newTask = this.storage.addTask(task);
+        if (newTask) {
+            this.renderTasks();
+            this.updateStats();
+            this.closeAddTaskModal();
+            
+            // Schedule notifications
+            if (window.notificationManager) {
+                window.notificationManager.scheduleTaskNotifications(newTask);
+            }
+
+            // Update charts
+            if (window.chartManager) {
+                window.chartManager.updateCharts();
+            }
+
+            // Check for badges
+            if (window.badgeManager) {
+                window.badgeManager.checkAllBadges();
+            }
+
+            if (step) {
+                step.commit([newTask.id]);
+            }
+        }
+    }
+
+    handleEditTask() {
+        const taskId = document.getElementById('editTaskId').value;
+        const title = document.getElementById('editTaskTitle').value.trim();
+        const description = document.getElementById('editTaskDescription').value.trim();
+        const priority = document.getElementById('editTaskPriority').value;
+        const date = document.getElementById('editTaskDate').value;
+        const startTime = document.getElementById('editTaskStartTime').value;
+        const endTime = document.getElementById('editTaskEndTime').value;
+
+        const updates = {
+            title,
+            description,
+            priority,
+            date,
+            startTime,
+            endTime,
+            project: document.getElementById('editTaskProject').value.trim(),
+            tags: this.readTagEditor('editTask'),
+            subtasks: this.readChecklistForm(),
+            autoCompleteChecklist: document.getElementById('editTaskAutoComplete').checked
+        };
+
+        const task = this.findTask(taskId);
+        if (!task) return;
+
+        const series = this.getSeriesOf(task);
+        const scope = series ? document.getElementById('editTaskScope').value : 'all';
+        const recurrence = scope === 'this' ? null : this.readRecurrenceForm('editTask');
+
+        const error = this.validateTask({ ...updates, recurrence });
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        if (series) {
+            this.editOccurrence(task, series, updates, recurrence, scope);
+            return;
+        }
+
+        if (recurrence) {
+            this.convertToSeries(task, updates, recurrence);
+            return;
+        }
+
+        const step = this.beginHistoryStep('Task edited', [taskId]);
+        const updatedTask = this.storage.updateTask(taskId, updates);
+        if (updatedTask) {
+            this.renderTasks();
+            this.updateStats();
+            this.closeEditTaskModal();
+            
+            // Update notifications
+            if (window.notificationManager) {
+                window.notificationManager.cancelTaskNotifications(taskId);
+                window.notificationManager.scheduleTaskNotifications(updatedTask);
+            }
+
+            // Update charts
+            if (window.chartManager) {
+                window.chartManager.updateCharts();
+            }
+
+            if (step) {
+                step.commit();
+            }
+
+            // Ticking the last item in the form counts as well
+            if (updatedTask.autoCompleteChecklist && !updatedTask.completed && this.isChecklistDone(updatedTask)) {
+                this.completeTask(taskId);
+            }
+        }
+    }
+
+    // Recurring series
+    // Finds a stored task, or a series occurrence by its `<seriesId>@<date>` id
+    findTask(taskId) {
+        const task = this.storage.getUserTasks().find(t => t.id === taskId);
+        if (task || !taskId.includes('@')) return task || null;
+
+        const [seriesId, date] = taskId.split('@');
+        return this.storage.getOccurrences(date, date).find(occurrence => occurrence.seriesId === seriesId) || null;
+    }
+
+    // Renders of many tasks look series up in a map from getSeriesById()
+    // instead of going through every task for each one
+    getSeriesOf(task, seriesById = null) {
+        if (!task.seriesId) return null;
+        if (seriesById) return seriesById.get(task.seriesId) || null;
+        return this.storage.getSeries().find(series => series.id === task.seriesId) || null;
+    }
+
+    getSeriesById() {
+        return new Map(this.storage.getSeries().map(series => [series.id, series]));
+    }
+
+    // Occurrences of a series that are stored as tasks of their own
+    getDetachedOccurrences(seriesId) {
+        return this.storage.getUserTasks().filter(task => task.seriesId === seriesId && !task.deletedAt);
+    }
+
+    // What a new series or task copies from an existing task. A series
+    // hands out its checklist unticked
+    getSeriesFields(task) {
+        const fields = { ...task };
+        [...this.recurrence.seriesOnlyFields, 'userId', 'seriesId', 'occurrenceDate', 'virtual', 'deletedAt', 'archivedAt']
+            .forEach(field => delete fields[field]);
+        return this.resetChecklist(fields);
+    }
+
+    resetChecklist(fields) {
+        return fields.subtasks
+            ? { ...fields, subtasks: fields.subtasks.map(item => ({ ...item, done: false })) }
+            : fields;
+    }
+
+    // Unset, empty and false all count as the same value
+    isSameFieldValue(a, b) {
+        const isEmpty = value => value === undefined || value === null || value === '' || value === false ||
+            (Array.isArray(value) && value.length === 0);
+        return (isEmpty(a) && isEmpty(b)) || JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // Takes a changed checklist but keeps the ticks of items already there
+    mergeChecklist(current = [], subtasks) {
+        return subtasks.map(item => {
+            const existing = current.find(c => c.id === item.id);
+            return { ...item, done: existing ? existing.done : false };
+        });
+    }
+
+    // Ends a series the day before `date`, keeping everything before it
+    endSeriesBefore(series, date) {
+        const rule = this.recurrence.normalize(series.recurrence);
+        return this.storage.updateTask(series.id, {
+            recurrence: { ...rule, end: { ...rule.end, type: 'date', until: this.recurrence.addDays(date, -1) } }
+        });
+    }
+
+    // Applies an edit made on one occurrence to just that occurrence, to it
+    // and the rest of the series, or to the whole series
+    editOccurrence(task, series, updates, recurrence, scope) {
+        if (scope === 'following' && task.occurrenceDate <= series.date) {
+            scope = 'all';
+        }
+
+        const detached = this.getDetachedOccurrences(series.id);
+        const step = this.beginHistoryStep('Task edited', [series.id, ...detached.map(t => t.id)]);
+        const createdIds = [];
+
+        if (scope === 'this') {
+            if (task.virtual) {
+                const occurrence = this.storage.detachOccurrence(task, updates);
+                if (occurrence) createdIds.push(occurrence.id);
+            } else {
+                this.storage.updateTask(task.id, updates);
+            }
+        } else {
+            const rule = this.recurrence.normalize(series.recurrence);
+            const from = scope === 'all' ? series.date : task.occurrenceDate;
+            let targetId = recurrence ? series.id : null;
+
+            // Only the fields changed in the form carry over to the rest of
+            // the series, so occurrences edited on their own keep the others
+            const { date, ...fieldUpdates } = updates;
+            const changes = Object.keys(fieldUpdates)
+                .filter(field => !this.isSameFieldValue(fieldUpdates[field], task[field]))
+                .reduce((result, field) => ({ ...result, [field]: fieldUpdates[field] }), {});
+            // Moving one occurrence moves the whole series by as many days
+            const shift = scope === 'all' && recurrence ? this.recurrence.daysBetween(task.occurrenceDate, date) : 0;
+
+            if (scope === 'all' && !recurrence) {
+                // The series stops repeating and becomes this one task
+                this.storage.updateTask(series.id, { ...updates, recurrence: null });
+            } else if (scope === 'all') {
+                this.storage.updateTask(series.id, {
+                    ...this.resetChecklist(changes),
+                    date: this.recurrence.addDays(series.date, shift),
+                    recurrence: {
+                        ...recurrence,
+                        exceptions: rule.exceptions.map(exception => this.recurrence.addDays(exception, shift))
+                    }
+                });
+            } else {
+                this.endSeriesBefore(series, task.occurrenceDate);
+                if (recurrence) {
+                    // A count applies to the whole series, so the new part
+                    // gets what is left of it
+                    const end = recurrence.end.type === 'count'
+                        ? { ...recurrence.end, count: Math.max(recurrence.end.count - this.recurrence.countBefore(series, task.occurrenceDate), 1) }
+                        : recurrence.end;
+                    const newSeries = this.storage.addTask({
+                        ...this.getSeriesFields(series),
+                        ...this.resetChecklist(changes),
+                        date,
+                        recurrence: { ...recurrence, end, exceptions: rule.exceptions.filter(exception => exception >= from) }
+                    });
+                    if (newSeries) {
+                        createdIds.push(newSeries.id);
+                        targetId = newSeries.id;
+                    }
+                } else if (task.virtual) {
+                    const single = this.storage.addTask({ ...this.getSeriesFields(task), ...updates });
+                    if (single) createdIds.push(single.id);
+                }
+            }
+
+            if (!task.virtual) {
+                this.storage.updateTask(task.id, { ...updates, seriesId: targetId, occurrenceDate: targetId ? date : null });
+            }
+
+            // Other pending occurrences move along with a shifted series, like
+            // its exceptions; completed ones are left as they were
+            detached
+                .filter(t => t.id !== task.id && t.occurrenceDate >= from)
+                .forEach(t => {
+                    const patch = t.completed ? {} : { ...changes };
+                    if (patch.subtasks) patch.subtasks = this.mergeChecklist(t.subtasks, patch.subtasks);
+                    if (targetId && targetId !== series.id) patch.seriesId = targetId;
+                    if (shift && !t.completed) {
+                        patch.date = this.recurrence.addDays(t.date, shift);
+                        patch.occurrenceDate = this.recurrence.addDays(t.occurrenceDate, shift);
+                    }
+                    if (Object.keys(patch).length > 0) this.storage.updateTask(t.id, patch);
+                });
+        }
+
+        this.closeEditTaskModal();
+        this.finishSeriesStep(step, [series.id, task.id, ...detached.map(t => t.id)], createdIds);
+    }
+
+    // A task that starts repeating becomes the first occurrence of a new
+    // series, so its own state (e.g. completion) is kept
+    convertToSeries(task, updates, recurrence) {
+        const step = this.beginHistoryStep('Task edited', [task.id]);
+        const series = this.storage.addTask(this.resetChecklist({ ...this.getSeriesFields(task), ...updates, recurrence }));
+        if (!series) return;
+
+        this.storage.updateTask(task.id, { ...updates, seriesId: series.id, occurrenceDate: updates.date });
+        this.closeEditTaskModal();
+        this.finishSeriesStep(step, [task.id], [series.id]);
+    }
+
+    showDeleteSeriesModal(task) {
+        this.pendingDeleteId = task.id;
+        document.getElementById('deleteSeriesTask').textContent =
+            `"${task.title}" on ${this.recurrence.toDate(task.date).toLocaleDateString(undefined, { timeZone: 'UTC' })}`;
+        document.getElementById('deleteSeriesModal').style.display = 'block';
+    }
+
+    closeDeleteSeriesModal() {
+        document.getElementById('deleteSeriesModal').style.display = 'none';
+        this.pendingDeleteId = null;
+    }
+
+    // Deleting a single occurrence leaves its date out of the series;
+    // deleting the series moves it to the trash
+    deleteOccurrence(scope) {
+        const task = this.pendingDeleteId ? this.findTask(this.pendingDeleteId) : null;
+        const series = task && this.getSeriesOf(task);
+        this.closeDeleteSeriesModal();
+        if (!series) return;
+
+        if (scope === 'following' && task.occurrenceDate <= series.date) {
+            scope = 'all';
+        }
+
+        const labels = {
+            this: 'Occurrence deleted',
+            following: 'Following occurrences deleted',
+            all: 'Series moved to trash'
+        };
+        const detached = this.getDetachedOccurrences(series.id);
+        const step = this.beginHistoryStep(labels[scope], [series.id, ...detached.map(t => t.id)]);
+
+        if (scope === 'this') {
+            const rule = this.recurrence.normalize(series.recurrence);
+            this.storage.updateTask(series.id, {
+                recurrence: { ...rule, exceptions: [...rule.exceptions, task.occurrenceDate] }
+            });
+            if (!task.virtual) {
+                this.storage.deleteTask(task.id);
+            }
+        } else {
+            if (scope === 'all') {
+                this.storage.deleteTask(series.id);
+            } else {
+                this.endSeriesBefore(series, task.occurrenceDate);
+            }
+
+            // Completed occurrences stay, as they count towards progress
+            const from = scope === 'all' ? series.date : task.occurrenceDate;
+            detached
+                .filter(t => !t.completed && t.occurrenceDate >= from)
+                .forEach(t => this.storage.deleteTask(t.id));
+        }
+
+        this.finishSeriesStep(step, [series.id, ...detached.map(t => t.id)], [], labels[scope]);
+    }
+
+    // Shared ending of the series operations: re-renders, re-schedules the
+    // reminders of the tasks involved and records the undo step
+    finishSeriesStep(step, taskIds, createdIds = [], toast = null) {
+        this.renderTasks();
+        this.updateStats();
+
+        if (window.notificationManager) {
+            const tasks = this.storage.getUserTasks();
+            [...taskIds, ...createdIds].forEach(taskId => {
+                const task = tasks.find(t => t.id === taskId);
+                window.notificationManager.cancelTaskNotifications(taskId);
+                if (task && !task.deletedAt && !task.archivedAt) {
+                    window.notificationManager.scheduleTaskNotifications(task);
+                }
+            });
+        }
+
+        if (window.chartManager) {
+            window.chartManager.updateCharts();
+        }
+
+        if (window.badgeManager) {
+            window.badgeManager.checkAllBadges();
+        }
+
+        if (step) {
+            step.commit(createdIds);
+            if (toast) {
+                window.historyManager.showUndoToast(toast);
+            }
+        }
+    }
+
+    renderTasks() {
+        const container = document.getElementById('tasksContainer');
+        if (!container) return;
+
+        this.renderRangeControls();
+        if (this.searchQuery) {
+            this.renderSearchResults(container);
+            return;
+        }
+        this.searchTerms = [];
+
+        const view = this.storage.getTaskView();
+        if (view === 'day') {
+            this.renderDayView(container);
+            return;
+        }
+        if (view === 'month') {
+            this.renderMonthView(container);
+            return;
+        }
+        if (view === 'week') {
+            this.renderWeekView(container);
+            return;
+        }
+
+        const visibleTasks = this.getVisibleTasks();
+
+        if (visibleTasks.length === 0) {
+            const hasTasks = this.storage.getTasks().length > 0 || this.storage.getSeries().length > 0;
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-calendar-plus"></i>
+                    <h3>${hasTasks ? 'No tasks in this period' : 'No tasks found'}</h3>
+                    <p>${hasTasks ? 'Move to another period or pick a larger range.' : 'Add your first task to get started!'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.renderDateGroups(container, visibleTasks);
+    }
+
+    // Renders the first few date groups and the rest as the list is
+    // scrolled to its end, or when "Show more" is clicked where the browser
+    // can't tell
+    renderDateGroups(container, tasks, header = '') {
+        const groupedTasks = this.groupTasksByDate(tasks);
+        this.pendingDateGroups = Object.keys(groupedTasks)
+            .sort()
+            .map(date => ({ date, tasks: groupedTasks[date] }));
+
+        container.innerHTML = header + `
+            <div class="date-group-more">
+                <button type="button" class="cancel-btn" onclick="showMoreDateGroups()"></button>
+            </div>
+        `;
+        this.renderMoreDateGroups();
+    }
+
+    renderMoreDateGroups() {
+        const more = document.querySelector('#tasksContainer .date-group-more');
+        if (!more) return;
+
+        const batch = this.pendingDateGroups.splice(0, this.dateGroupBatch);
+        const seriesById = this.getSeriesById();
+        more.insertAdjacentHTML('beforebegin', batch.map(group => this.renderDateGroup(group.date, group.tasks, seriesById)).join(''));
+
+        if (this.dateGroupObserver) {
+            this.dateGroupObserver.disconnect();
+        }
+        if (this.pendingDateGroups.length === 0) {
+            more.remove();
+            return;
+        }
+
+        const count = this.pendingDateGroups.length;
+        more.querySelector('button').textContent = `Show ${count} more day${count === 1 ? '' : 's'}`;
+        // Observing again reports straight away if it is still in view
+        if (this.dateGroupObserver) {
+            this.dateGroupObserver.observe(more);
+        }
+    }
+
+    // Search results cover every date, not just the selected range; only
+    // recurring series are limited to their occurrences in the range
+    renderSearchResults(container) {
+        const { startDate, endDate } = this.getVisibleRange();
+        const { terms, tasks } = this.storage.searchTasks(this.searchQuery, startDate, endDate);
+        const results = this.getFilteredTasks(tasks);
+        this.searchTerms = terms;
+
+        const summary = `
+            <div class="search-summary">
+                <span>${results.length} task${results.length === 1 ? '' : 's'} matching <strong>${escapeHtml(this.searchQuery)}</strong></span>
+                <button type="button" class="cancel-btn" onclick="clearSearch()">
+                    <i class="fas fa-times"></i> Clear search
+                </button>
+            </div>
+        `;
+
+        if (results.length === 0) {
+            container.innerHTML = summary + `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <h3>No matching tasks</h3>
+                    <p>Try other words, or operators like priority:high, is:done or before:2026-10-01</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.renderDateGroups(container, results, summary);
+    }
+
+    setSearch(query) {
+        this.searchQuery = query.trim();
+        this.renderTasks();
+    }
+
+    // Escapes text and marks the words the current search matched
+    highlightMatches(text) {
+        if (this.searchTerms.length === 0) {
+            return escapeHtml(text);
+        }
+
+        // Terms are letters and digits only, so they need no regex escaping
+        const alternatives = [...new Set(this.searchTerms)]
+            .sort((a, b) => b.length - a.length)
+            .join('|');
+        return String(text)
+            .split(new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})`, 'giu'))
+            .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+            .join('');
+    }
+
+    // Stored tasks and series occurrences in the selected range
+    getVisibleTasks() {
+        const { startDate, endDate } = this.getVisibleRange();
+        return this.getTasksBetween(startDate, endDate);
+    }
+
+    getTasksBetween(startDate, endDate) {
+        const tasks = [...this.storage.getTasks(), ...this.storage.getOccurrences(startDate, endDate)];
+        return this.getFilteredTasks(tasks).filter(task => task.date >= startDate && task.date <= endDate);
+    }
+
+    // The user's saved range: a size and the date it is centred on, which
+    // is today unless they moved away from it
+    getRange() {
+        const range = this.storage.getTaskRange();
+        return {
+            size: this.rangeSizes.includes(range.size) ? range.size : '15days',
+            date: range.date || new Date().toISOString().split('T')[0]
+        };
+    }
+
+    // First and last day (YYYY-MM-DD) of the selected range. "All" runs from
+    // the earliest to the latest task, and a month past today so series
+    // without an end show what is coming up
+    getVisibleRange() {
+        const { size, date } = this.getRange();
+        const R = this.recurrence;
+
+        if (size === 'day') {
+            return { startDate: date, endDate: date };
+        }
+        if (size === 'week') {
+            const startDate = this.getWeekStart(date);
+            return { startDate, endDate: R.addDays(startDate, 6) };
+        }
+        if (size === 'month') {
+            const startDate = `${date.slice(0, 7)}-01`;
+            return { startDate, endDate: R.addDays(this.shiftMonth(startDate, 1), -1) };
+        }
+        if (size === 'all') {
+            const today = new Date().toISOString().split('T')[0];
+            const dates = [...this.storage.getTasks(), ...this.storage.getSeries()].map(task => task.date).sort();
+            return {
+                startDate: dates[0] && dates[0] < today ? dates[0] : today,
+                endDate: [dates[dates.length - 1], R.addDays(today, 30)].sort().pop()
+            };
+        }
+        return { startDate: R.addDays(date, -7), endDate: R.addDays(date, 7) };
+    }
+
+    getTasksInRange(tasks) {
+        const { startDate, endDate } = this.getVisibleRange();
+        return tasks.filter(task => task.date >= startDate && task.date <= endDate);
+    }
+
+    // Weeks start on Monday
+    getWeekStart(date) {
+        return this.recurrence.addDays(date, -((this.recurrence.toDate(date).getUTCDay() + 6) % 7));
+    }
+
+    shiftMonth(date, months) {
+        const result = this.recurrence.toDate(`${date.slice(0, 7)}-01`);
+        result.setUTCMonth(result.getUTCMonth() + months);
+        return this.recurrence.formatDate(result);
+    }
+
+    // Moves one period back (-1) or forward (1)
+    shiftRange(direction) {
+        const { size, date } = this.getRange();
+        if (size === 'all') return;
+
+        const days = { day: 1, week: 7, '15days': 15 }[size];
+        this.setRange({
+            date: size === 'month' ? this.shiftMonth(date, direction) : this.recurrence.addDays(date, days * direction)
+        });
+    }
+
+    setRange(range) {
+        const today = new Date().toISOString().split('T')[0];
+        // Landing back on today follows today again from then on
+        const date = range.date === today ? '' : range.date;
+        this.storage.setTaskRange(date === undefined ? range : { ...range, date });
+        this.renderTasks();
+    }
+
+    // Views
+    // The week and month calendars show the week or month the range is on,
+    // so switching to one also sets the range size to match
+    setView(view) {
+        const sizes = { day: 'day', week: 'week', month: 'month' };
+        this.storage.setSettings(sizes[view]
+            ? { taskView: view, taskRange: { size: sizes[view] } }
+            : { taskView: view });
+        this.renderTasks();
+    }
+
+    // A day with tasks opens in the day planner; an empty one starts a new
+    // task
+    openCalendarDay(date) {
+        if (this.getTasksBetween(date, date).length === 0) {
+            showAddTaskModal(date);
+            return;
+        }
+        this.storage.setSetting('taskView', 'day');
+        this.setRange({ size: 'day', date });
+    }
+
+    renderMonthView(container) {
+        const R = this.recurrence;
+        const monthStart = `${this.getRange().date.slice(0, 7)}-01`;
+        const monthEnd = R.addDays(this.shiftMonth(monthStart, 1), -1);
+        const gridStart = this.getWeekStart(monthStart);
+        const gridEnd = R.addDays(this.getWeekStart(monthEnd), 6);
+        const groupedTasks = this.groupTasksByDate(this.getTasksBetween(gridStart, gridEnd));
+        const today = new Date().toISOString().split('T')[0];
+        const priorityOrder = { high: 0, medium: 1, low: 2 };
+        const maxDots = 6;
+
+        const days = [];
+        for (let date = gridStart; date <= gridEnd; date = R.addDays(date, 1)) {
+            days.push(date);
+        }
+
+        container.innerHTML = `
+            <div class="calendar month-view">
+                ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => `<div class="calendar-weekday">${day}</div>`).join('')}
+                ${days.map(date => {
+                    const tasks = (groupedTasks[date] || [])
+                        .sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
+                    const classes = [
+                        'calendar-day',
+                        date.slice(0, 7) !== monthStart.slice(0, 7) ? 'outside' : '',
+                        date === today ? 'today' : ''
+                    ].join(' ');
+                    const label = `${R.toDate(date).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric' })}, ${tasks.length} task${tasks.length === 1 ? '' : 's'}`;
+                    return `
+                        <div class="${classes}" data-date="${date}" role="button" tabindex="0" aria-label="${label}"
+                             onclick="openCalendarDay('${date}')">
+                            <span class="calendar-date">${Number(date.slice(8))}</span>
+                            ${tasks.length > 0 ? `
+                                <span class="calendar-count">${tasks.length} task${tasks.length === 1 ? '' : 's'}</span>
+                                <div class="priority-dots">
+                                    ${tasks.slice(0, maxDots).map(task => `
+                                        <span class="priority-dot ${task.priority} ${task.completed ? 'done' : ''}" title="${escapeHtml(task.title)}"></span>
+                                    `).join('')}
+                                    ${tasks.length > maxDots ? `<span class="priority-more">+${tasks.length - maxDots}</span>` : ''}
+                                </div>
+                            ` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    renderWeekView(container) {
+        const R = this.recurrence;
+        const weekStart = this.getWeekStart(this.getRange().date);
+        const days = [0, 1, 2, 3, 4, 5, 6].map(offset => R.addDays(weekStart, offset));
+        const groupedTasks = this.groupTasksByDate(this.getTasksBetween(days[0], days[6]));
+        const today = new Date().toISOString().split('T')[0];
+        const hours = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+        // Redrawing the same week keeps where it was scrolled to
+        const previousBody = container.querySelector('.week-view .week-body');
+        const scrollTop = previousBody && this.renderedWeek === weekStart ? previousBody.scrollTop : null;
+        this.renderedWeek = weekStart;
+
+        container.innerHTML = `
+            <div class="calendar week-view">
+                <div class="week-header">
+                    <div></div>
+                    ${days.map(date => `
+                        <div class="week-day-label ${date === today ? 'today' : ''}">
+                            ${R.toDate(date).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', day: 'numeric' })}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="week-body">
+                    <div class="week-hours">
+                        ${hours.map(hour => `<div class="week-hour">${this.formatTime(`${hour}:00`)}</div>`).join('')}
+                    </div>
+                    ${days.map(date => `
+                        <div class="week-column ${date === today ? 'today' : ''}" data-date="${date}">
+                            ${hours.map(hour => `
+                                <div class="week-slot" data-hour="${Number(hour)}" onclick="showAddTaskModal('${date}', '${hour}:00')"></div>
+                            `).join('')}
+                            ${this.layoutOverlaps(groupedTasks[date] || []).map(({ task, column, columns }) => this.renderTimedTask(task, column, columns)).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        // Otherwise the day starts at 7 in the morning rather than midnight
+        const body = container.querySelector('.week-body');
+        body.scrollTop = scrollTop !== null ? scrollTop : container.querySelector('.week-slot[data-hour="7"]').offsetTop;
+    }
+
+    // Calendar days and blocks are focusable and open with Enter or Space
+    // like buttons do
+    handleCalendarKey(e) {
+        if (!['Enter', ' '].includes(e.key) || e.target.getAttribute('role') !== 'button') return;
+        e.preventDefault();
+        // Planner blocks open on pointer release rather than on click
+        if (e.target.matches('.day-view .timed-task')) {
+            this.editTask(e.target.dataset.taskId);
+        } else {
+            e.target.click();
+        }
+    }
+
+    // Day planner
+    renderDayView(container) {
+        const date = this.getRange().date;
+        const today = new Date().toISOString().split('T')[0];
+        const hours = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+        const layout = this.layoutOverlaps(this.getTasksBetween(date, date));
+        const overlapping = layout.filter(item => item.columns > 1).length;
+        const gaps = this.getFreeGaps(date);
+
+        container.innerHTML = `
+            <div class="calendar day-view">
+                <div class="day-timeline">
+                    <div class="week-hours">
+                        ${hours.map(hour => `<div class="week-hour">${this.formatTime(`${hour}:00`)}</div>`).join('')}
+                    </div>
+                    <div class="week-column day-column" data-date="${date}">
+                        ${hours.map(hour => `
+                            <div class="week-slot" data-hour="${Number(hour)}" onclick="showAddTaskModal('${date}', '${hour}:00')"></div>
+                        `).join('')}
+                        ${gaps.map(gap => `
+                            <div class="free-gap" style="${this.getTimelinePosition(gap.start, gap.end)}"
+                                 role="button" tabindex="0" aria-label="Add a task at ${this.formatTime(gap.start)}"
+                                 onclick="showAddTaskModal('${date}', '${gap.start}')">
+                                <span>Free · ${this.formatDuration(gap.end, gap.start)}</span>
+                            </div>
+                        `).join('')}
+                        ${layout.map(({ task, column, columns }) => this.renderTimedTask(task, column, columns, true)).join('')}
+                        ${date === today ? '<div class="now-line"></div>' : ''}
+                    </div>
+                </div>
+                <aside class="day-summary">
+                    <h4><i class="fas fa-mug-hot"></i> Free time</h4>
+                    ${gaps.length > 0 ? `
+                        <ul>
+                            ${gaps.map(gap => `
+                                <li>${this.formatTime(gap.start)} – ${this.formatTime(gap.end)} <span>${this.formatDuration(gap.end, gap.start)}</span></li>
+                            `).join('')}
+                        </ul>
+                    ` : `<p class="form-hint">No free time left between ${this.formatTime(this.plannerHours.start)} and ${this.formatTime(this.plannerHours.end)}</p>`}
+                    ${overlapping > 0 ? `
+                        <p class="day-overlaps"><i class="fas fa-exclamation-triangle"></i> ${overlapping} tasks overlap</p>
+                    ` : ''}
+                    <p class="form-hint">Drag a task to move it, or its bottom edge to change when it ends.</p>
+                </aside>
+            </div>
+        `;
+
+        this.updateNowLine();
+        clearInterval(this.nowLineTimer);
+        this.nowLineTimer = date === today ? setInterval(() => this.updateNowLine(), 60000) : null;
+
+        const firstTask = layout.map(item => item.task.startTime).sort()[0];
+        const scrollHour = Math.max(0, Number((firstTask && firstTask < this.plannerHours.start ? firstTask : this.plannerHours.start).slice(0, 2)) - 1);
+        container.querySelector('.day-timeline').scrollTop = container.querySelector(`.week-slot[data-hour="${scrollHour}"]`).offsetTop;
+    }
+
+    updateNowLine() {
+        const line = document.querySelector('#tasksContainer .now-line');
+        if (!line) {
+            clearInterval(this.nowLineTimer);
+            return;
+        }
+        const now = new Date();
+        line.style.top = `${(now.getHours() * 60 + now.getMinutes()) / (24 * 60) * 100}%`;
+    }
+
+    // Stretches of at least the snap size within the planner hours that no
+    // task of the day covers, whatever the filters show. Time already gone
+    // doesn't count.
+    getFreeGaps(date) {
+        const today = new Date().toISOString().split('T')[0];
+        if (date < today) return [];
+
+        const now = new Date();
+        const nowTime = this.minutesToTime(now.getHours() * 60 + now.getMinutes());
+        const busy = [...this.storage.getTasks(), ...this.storage.getOccurrences(date, date)]
+            .filter(task => task.date === date)
+            .map(task => [task.startTime, task.endTime])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+
+        let start = date === today && nowTime > this.plannerHours.start ? nowTime : this.plannerHours.start;
+        const gaps = [];
+        [...busy, [this.plannerHours.end, this.plannerHours.end]].forEach(([busyStart, busyEnd]) => {
+            const end = busyStart < this.plannerHours.end ? busyStart : this.plannerHours.end;
+            if (this.timeToMinutes(end) - this.timeToMinutes(start) >= this.plannerSnapMinutes) {
+                gaps.push({ start, end });
+            }
+            if (busyEnd > start) start = busyEnd;
+        });
+        return gaps;
+    }
+
+    // Where a stretch of time sits on a 24-hour column, in percent
+    getTimelineBox(startTime, endTime) {
+        const dayMinutes = 24 * 60;
+        const start = this.timeToMinutes(startTime);
+        const end = this.timeToMinutes(endTime);
+        return { top: start / dayMinutes * 100, height: (end - start) / dayMinutes * 100 };
+    }
+
+    getTimelinePosition(startTime, endTime) {
+        const { top, height } = this.getTimelineBox(startTime, endTime);
+        return `top: ${top}%; height: ${height}%`;
+    }
+
+    formatDuration(endTime, startTime) {
+        const minutes = this.timeToMinutes(endTime) - this.timeToMinutes(startTime);
+        const hours = Math.floor(minutes / 60);
+        return [hours ? `${hours}h` : '', minutes % 60 ? `${minutes % 60}m` : ''].filter(Boolean).join(' ');
+    }
+
+    minutesToTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    startTimelineDrag(e) {
+        const block = e.target.closest('.day-view .timed-task');
+        if (!block || this.timelineDrag || e.button !== 0) return;
+
+        const task = this.findTask(block.dataset.taskId);
+        if (!task) return;
+
+        e.preventDefault();
+        this.timelineDrag = {
+            block,
+            task,
+            mode: e.target.closest('.timed-task-resize') ? 'resize' : 'move',
+            startY: e.clientY,
+            pixelsPerMinute: block.parentElement.getBoundingClientRect().height / (24 * 60),
+            delta: 0,
+            moved: false
+        };
+    }
+
+    moveTimelineDrag(e) {
+        const drag = this.timelineDrag;
+        if (!drag) return;
+
+        const distance = e.clientY - drag.startY;
+        drag.moved = drag.moved || Math.abs(distance) > 3;
+        // Completed tasks can still be opened but not moved
+        if (!drag.moved || drag.task.completed) return;
+
+        drag.delta = Math.round(distance / drag.pixelsPerMinute / this.plannerSnapMinutes) * this.plannerSnapMinutes;
+        const { startTime, endTime } = this.getDraggedTimes(drag);
+        const { top, height } = this.getTimelineBox(startTime, endTime);
+        drag.block.style.top = `${top}%`;
+        drag.block.style.height = `${height}%`;
+        drag.block.querySelector('.timed-task-time').textContent = `${this.formatTime(startTime)} – ${this.formatTime(endTime)}`;
+        drag.block.classList.add('dragging');
+    }
+
+    endTimelineDrag() {
+        const drag = this.timelineDrag;
+        if (!drag) return;
+        this.timelineDrag = null;
+
+        // A press without a drag opens the task like a click
+        if (!drag.moved) {
+            this.editTask(drag.task.id);
+            return;
+        }
+
+        const { startTime, endTime } = this.getDraggedTimes(drag);
+        if (drag.task.completed || (startTime === drag.task.startTime && endTime === drag.task.endTime)) {
+            this.renderTasks();
+            return;
+        }
+        this.rescheduleTask(drag.task.id, startTime, endTime);
+    }
+
+    cancelTimelineDrag() {
+        if (!this.timelineDrag) return;
+        this.timelineDrag = null;
+        this.renderTasks();
+    }
+
+    // Moving keeps the duration and resizing keeps the start; either way the
+    // task stays within the day and lasts at least the snap size
+    getDraggedTimes(drag) {
+        const lastMinute = 24 * 60 - 1;
+        let start = this.timeToMinutes(drag.task.startTime);
+        let end = this.timeToMinutes(drag.task.endTime);
+
+        if (drag.mode === 'move') {
+            const duration = end - start;
+            start = Math.min(Math.max(start + drag.delta, 0), lastMinute - duration);
+            end = start + duration;
+        } else {
+            end = Math.min(Math.max(end + drag.delta, start + this.plannerSnapMinutes), lastMinute);
+        }
+        return { startTime: this.minutesToTime(start), endTime: this.minutesToTime(end) };
+    }
+
+    // New times from the planner; an occurrence is detached from its series
+    // the same way completing it is
+    rescheduleTask(taskId, startTime, endTime) {
+        const occurrence = taskId.includes('@') ? this.findTask(taskId) : null;
+        const step = this.beginHistoryStep('Task rescheduled', [occurrence ? occurrence.seriesId : taskId]);
+        const updates = { startTime, endTime };
+        const task = occurrence
+            ? this.storage.detachOccurrence(occurrence, updates)
+            : this.storage.updateTask(taskId, updates);
+
+        this.renderTasks();
+        if (!task) return;
+
+        if (window.notificationManager) {
+            window.notificationManager.cancelTaskNotifications(taskId);
+            window.notificationManager.scheduleTaskNotifications(task);
+        }
+
+        if (step) {
+            step.commit(occurrence ? [task.id] : []);
+        }
+    }
+
+    timeToMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // Places overlapping tasks side by side: each gets a column and the
+    // number of columns in its group of overlapping tasks
+    layoutOverlaps(tasks) {
+        const sorted = [...tasks].sort((a, b) =>
+            a.startTime.localeCompare(b.startTime) || b.endTime.localeCompare(a.endTime)
+        );
+        const layout = [];
+        let group = [];
+        let columnEnds = [];
+        let groupEnd = '';
+
+        const closeGroup = () => {
+            group.forEach(item => { item.columns = columnEnds.length; });
+            group = [];
+            columnEnds = [];
+        };
+
+        sorted.forEach(task => {
+            if (group.length > 0 && task.startTime >= groupEnd) {
+                closeGroup();
+            }
+            let column = columnEnds.findIndex(end => end <= task.startTime);
+            if (column === -1) {
+                column = columnEnds.length;
+            }
+            columnEnds[column] = task.endTime;
+            groupEnd = group.length === 0 || task.endTime > groupEnd ? task.endTime : groupEnd;
+
+            const item = { task, column, columns: 1 };
+            group.push(item);
+            layout.push(item);
+        });
+        closeGroup();
+        return layout;
+    }
+
+    // Blocks in the day planner can be dragged, so they open on release
+    // instead of on click
+    renderTimedTask(task, column, columns, draggable = false) {
+        return `
+            <div class="timed-task ${task.priority} ${task.completed ? 'completed' : ''} ${columns > 1 ? 'overlapping' : ''}" data-task-id="${escapeHtml(task.id)}"
+                 style="${this.getTimelinePosition(task.startTime, task.endTime)}; left: ${column / columns * 100}%; width: ${100 / columns}%"
+                 title="${escapeHtml(task.title)}" role="button" tabindex="0" ${draggable ? '' : 'data-task-action="edit"'}>
+                <span class="timed-task-time">${this.formatTime(task.startTime)}${draggable ? ` – ${this.formatTime(task.endTime)}` : ''}</span>
+                <span class="timed-task-title">${escapeHtml(task.title)}</span>
+                ${draggable && !task.completed ? '<div class="timed-task-resize"></div>' : ''}
+            </div>
+        `;
+    }
+
+    renderRangeControls() {
+        const label = document.getElementById('taskRangeLabel');
+        if (!label) return;
+
+        const { size, date } = this.getRange();
+        const { startDate, endDate } = this.getVisibleRange();
+        const format = (value, options) => this.recurrence.toDate(value)
+            .toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+
+        const view = this.storage.getTaskView();
+        document.querySelectorAll('.view-switcher button').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+        // The calendar views set the range size themselves
+        document.querySelector('.range-controls').classList.toggle('calendar-mode', view !== 'list');
+
+        document.getElementById('taskRangeSize').value = size;
+        document.getElementById('taskRangeDate').value = date;
+        document.querySelectorAll('.range-step').forEach(button => {
+            button.disabled = size === 'all';
+        });
+
+        if (size === 'day') {
+            label.textContent = format(date, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        } else if (size === 'month') {
+            label.textContent = format(date, { year: 'numeric', month: 'long' });
+        } else {
+            label.textContent = `${size === 'all' ? 'All tasks: ' : ''}${format(startDate, { month: 'short', day: 'numeric' })} – ${format(endDate, { year: 'numeric', month: 'short', day: 'numeric' })}`;
+        }
+    }
+
+    groupTasksByDate(tasks) {
+        return tasks.reduce((groups, task) => {
+            const date = task.date;
+            if (!groups[date]) {
+                groups[date] = [];
+            }
+            groups[date].push(task);
+            return groups;
+        }, {});
+    }
+
+    renderDateGroup(date, tasks, seriesById = null) {
+        const dateObj = new Date(date);
+        const today = new Date().toISOString().split('T')[0];
+        const isToday = date === today;
+        const isPast = date < today;
+        const isFuture = date > today;
+
+        let dateLabel = dateObj.toLocaleDateString('en-US', { 
+            weekday: 'long', 
+            year: 'numeric', 
+            month: 'long', 
+            day: 'numeric' 
+        });
+
+        if (isToday) dateLabel += ' (Today)';
+        else if (isPast) dateLabel += ' (Past)';
+        else if (isFuture) dateLabel += ' (Upcoming)';
+
+        const sortedTasks = tasks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+        return `
+            <div class="date-group" data-date="${date}">
+                <h3 class="date-header ${isToday ? 'today' : isPast ? 'past' : 'future'}">
+                    <i class="fas fa-calendar-day"></i>
+                    ${dateLabel}
+                </h3>
+                <div class="date-tasks">
+                    ${sortedTasks.map(task => this.createTaskCard(task, seriesById)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    createTaskCard(task, seriesById = null) {
+        const priorityIcon = {
+            high: '🔴',
+            medium: '🟡',
+            low: '🟢'
+        };
+
+        const timeRange = `${this.formatTime(task.startTime)} - ${this.formatTime(task.endTime)}`;
+        const isOverdue = this.isTaskOverdue(task);
+        const series = this.getSeriesOf(task, seriesById);
+        const subtasks = task.subtasks || [];
+        const doneCount = subtasks.filter(item => item.done).length;
+        const tags = task.tags || [];
+
+        return `
+            <div class="task-card ${task.completed ? 'completed' : ''} ${isOverdue ? 'overdue' : ''}" 
+                 data-task-id="${escapeHtml(task.id)}">
+                <div class="task-priority ${task.priority}"></div>
+                <div class="task-header">
+                    <div>
+                        <h3 class="task-title">${this.highlightMatches(task.title)}</h3>
+                        ${task.description ? `<p class="task-description">${this.highlightMatches(task.description)}</p>` : ''}
+                    </div>
+                    <span class="priority-badge">${priorityIcon[task.priority]}</span>
+                </div>
+                <div class="task-meta">
+                    <div class="task-date">
+                        <i class="fas fa-calendar"></i>
+                        <span>${new Date(task.date).toLocaleDateString()}</span>
+                    </div>
+                    <div class="task-time">
+                        <i class="fas fa-clock"></i>
+                        <span>${timeRange}</span>
+                    </div>
+                    ${task.project ? `
+                        <div class="task-project">
+                            <i class="fas fa-folder"></i>
+                            <span>${escapeHtml(task.project)}</span>
+                        </div>
+                    ` : ''}
+                    ${series ? `
+                        <div class="task-recurrence">
+                            <i class="fas fa-redo"></i>
+                            <span>${escapeHtml(this.recurrence.describe(series.recurrence, series.date))}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                ${tags.length > 0 ? `
+                    <div class="task-tags">${tags.map(tag => this.createTagChip(tag)).join('')}</div>
+                ` : ''}
+                ${subtasks.length > 0 ? `
+                    <div class="task-checklist">
+                        <div class="checklist-summary">
+                            <div class="checklist-progress">
+                                <div class="checklist-progress-bar" style="width: ${Math.round(doneCount / subtasks.length * 100)}%"></div>
+                            </div>
+                            <span>${doneCount}/${subtasks.length}</span>
+                        </div>
+                        <ul>
+                            ${subtasks.map((item, index) => `
+                                <li class="${item.done ? 'done' : ''}">
+                                    <label>
+                                        <input type="checkbox" ${item.done ? 'checked' : ''} ${task.completed ? 'disabled' : ''}
+                                               data-subtask-index="${index}">
+                                        <span>${escapeHtml(item.title)}</span>
+                                    </label>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                <div class="task-actions">
+                    ${!task.completed ? `
+                        <button class="task-btn complete-btn" data-task-action="complete">
+                            <i class="fas fa-check"></i> Complete
+                        </button>
+                    ` : `
+                        <span class="completed-badge">
+                            <i class="fas fa-check-circle"></i> Completed
+                        </span>
+                        <button class="task-btn archive-btn" data-task-action="archive">
+                            <i class="fas fa-archive"></i> Archive
+                        </button>
+                    `}
+                    <button class="task-btn edit-btn" data-task-action="edit">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="task-btn delete-btn" data-task-action="delete">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Re-renders only the cards touched by remote changes; falls back to a
+    // full render when a change moves, adds or removes a card
+    applyTaskChanges(changes) {
+        const taskChanges = changes ? changes.filter(change => change.store === 'tasks') : null;
+        const updatedInPlace = taskChanges && taskChanges.every(change => this.rerenderTaskCard(change));
+
+        if (!updatedInPlace) {
+            this.renderTasks();
+        }
+        this.updateStats();
+    }
+
+    rerenderTaskCard(change) {
+        if (change.op === 'delete') return false;
+
+        const taskId = change.op === 'put' ? change.value.id : change.key;
+        const card = document.querySelector(`.task-card[data-task-id="${taskId}"]`);
+        const task = this.storage.getTasks().find(t => t.id === taskId);
+        if (!card || !task) return false;
+
+        const group = card.closest('.date-group');
+        const stillVisible = this.getVisibleTasks().some(t => t.id === taskId);
+        if (!stillVisible || !group || group.dataset.date !== task.date) return false;
+
+        card.outerHTML = this.createTaskCard(task);
+        return true;
+    }
+
+    isTaskOverdue(task) {
+        if (task.completed) return false;
+        const now = new Date();
+        const taskEnd = new Date(`${task.date}T${task.endTime}`);
+        return taskEnd < now;
+    }
+
+    formatTime(time) {
+        return new Date(`2000-01-01T${time}`).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    getFilteredTasks(tasks = this.storage.getTasks()) {
+        // Filter by priority
+        if (this.currentFilter.priority !== 'all') {
+            tasks = tasks.filter(task => task.priority === this.currentFilter.priority);
+        }
+
+        // Filter by status
+        if (this.currentFilter.status !== 'all') {
+            if (this.currentFilter.status === 'completed') {
+                tasks = tasks.filter(task => task.completed);
+            } else if (this.currentFilter.status === 'pending') {
+                tasks = tasks.filter(task => !task.completed);
+            }
+        }
+
+        // Filter by project
+        if (this.currentFilter.project !== 'all') {
+            tasks = tasks.filter(task => (task.project || '') === this.currentFilter.project);
+        }
+
+        // Filter by tags
+        const filterTags = this.currentFilter.tags;
+        if (filterTags.length > 0) {
+            const match = this.currentFilter.tagMode === 'all' ? 'every' : 'some';
+            tasks = tasks.filter(task => filterTags[match](tag => (task.tags || []).includes(tag)));
+        }
+
+        return tasks;
+    }
+
+    updateStats() {
+        const stats = this.storage.getTaskStats();
+        
+        document.getElementById('totalTasks').textContent = stats.total;
+        document.getElementById('completedTasks').textContent = stats.completed;
+        document.getElementById('pendingTasks').textContent = stats.pending;
+        document.getElementById('totalBadges').textContent = this.storage.getBadges().length;
+        this.renderProjectStats(stats.byProject);
+        this.renderFilterOptions();
+    }
+
+    // Completing an occurrence stores it as a completed task of its own; the
+    // rest of the series carries on
+    completeTask(taskId) {
+        const occurrence = taskId.includes('@') ? this.findTask(taskId) : null;
+        const step = this.beginHistoryStep('Task completed', [occurrence ? occurrence.seriesId : taskId]);
+        const task = occurrence
+            ? this.storage.detachOccurrence(occurrence, { completed: true, completedAt: new Date().toISOString() })
+            : this.storage.completeTask(taskId);
+        if (task) {
+            this.renderTasks();
+            this.updateStats();
+            
+            // Show completion notification
+            if (window.notificationManager) {
+                window.notificationManager.showTaskCompletedNotification(task);
+            }
+
+            // Update charts
+            if (window.chartManager) {
+                window.chartManager.updateCharts();
+            }
+
+            // Check for badges
+            if (window.badgeManager) {
+                window.badgeManager.checkAllBadges();
+                window.badgeManager.checkDailyCompletionBadge();
+            }
+
+            // Cancel notifications for completed task
+            if (window.notificationManager) {
+                window.notificationManager.cancelTaskNotifications(taskId);
+            }
+
+            if (step) {
+                step.commit(occurrence ? [task.id] : []);
+            }
+        }
+    }
+
+    editTask(taskId) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+
+        // Populate edit form
+        document.getElementById('editTaskId').value = task.id;
+        document.getElementById('editTaskTitle').value = task.title;
+        document.getElementById('editTaskDescription').value = task.description || '';
+        document.getElementById('editTaskPriority').value = task.priority;
+        document.getElementById('editTaskDate').value = task.date;
+        document.getElementById('editTaskStartTime').value = task.startTime;
+        document.getElementById('editTaskEndTime').value = task.endTime;
+        document.getElementById('editTaskProject').value = task.project || '';
+        this.renderTagEditor('editTask', task.tags);
+        this.updateSuggestions();
+
+        this.renderChecklistForm(task.subtasks);
+        document.getElementById('editTaskAutoComplete').checked = Boolean(task.autoCompleteChecklist);
+
+        // Occurrences ask how far the edit reaches
+        const series = this.getSeriesOf(task);
+        document.getElementById('editTaskScopeGroup').style.display = series ? '' : 'none';
+        document.getElementById('editTaskScope').value = 'this';
+        this.fillRecurrenceForm('editTask', series ? series.recurrence : null);
+        this.updateEditScope();
+
+        // Show modal
+        document.getElementById('editTaskModal').style.display = 'block';
+    }
+
+    // No confirmation prompt: the task goes to the trash and the move can
+    // be undone from the toast
+    deleteTask(taskId) {
+        const task = this.findTask(taskId);
+        if (task && this.getSeriesOf(task)) {
+            this.showDeleteSeriesModal(task);
+            return;
+        }
+
+        const step = this.beginHistoryStep('Task moved to trash', [taskId]);
+        const success = this.storage.deleteTask(taskId);
+        if (success) {
+            this.renderTasks();
+            this.updateStats();
+
+            // Cancel notifications
+            if (window.notificationManager) {
+                window.notificationManager.cancelTaskNotifications(taskId);
+            }
+
+            // Update charts
+            if (window.chartManager) {
+                window.chartManager.updateCharts();
+            }
+
+            if (step) {
+                step.commit();
+                window.historyManager.showUndoToast('Task moved to trash');
+            }
+        }
+    }
+
+    archiveTask(taskId) {
+        const step = this.beginHistoryStep('Task archived', [taskId]);
+        if (this.storage.archiveTask(taskId)) {
+            this.renderTasks();
+            this.updateStats();
+
+            if (step) {
+                step.commit();
+                window.historyManager.showUndoToast('Task archived');
+            }
+        }
+    }
+
+    beginHistoryStep(label, taskIds = []) {
+        return window.historyManager ? window.historyManager.begin(label, taskIds) : null;
+    }
+
+    setFilter(filterType, value) {
+        this.setFilters({ [filterType]: value });
+    }
+
+    setFilters(filters) {
+        Object.assign(this.currentFilter, filters);
+        this.renderTasks();
+        this.renderFilterOptions();
+    }
+
+    closeAddTaskModal() {
+        document.getElementById('addTaskModal').style.display = 'none';
+        document.getElementById('addTaskForm').reset();
+        // Reset date to today
+        document.getElementById('taskDate').value = new Date().toISOString().split('T')[0];
+        this.fillRecurrenceForm('task', null);
+        this.renderTagEditor('task');
+    }
+
+    closeEditTaskModal() {
+        document.getElementById('editTaskModal').style.display = 'none';
+        document.getElementById('editTaskForm').reset();
+        this.fillRecurrenceForm('editTask', null);
+        this.renderTagEditor('editTask');
+        this.renderChecklistForm();
+    }
+}
+
+// Motivational Quotes System
+class QuotesManager {
+    constructor() {
+        this.quotes = [
+            "The only way to do great work is to love what you do. - Steve Jobs",
+            "Life is what happens to you while you're busy making other plans. - John Lennon",
+            "The future belongs to those who believe in the beauty of their dreams. - Eleanor Roosevelt",
+            "It is during our darkest moments that we must focus to see the light. - Aristotle",
+            "The only impossible journey is the one you never begin. - Tony Robbins",
+            "Success is not final, failure is not fatal: it is the courage to continue that counts. - Winston Churchill",
+            "The way to get started is to quit talking and begin doing. - Walt Disney",
+            "Don't let yesterday take up too much of today. - Will Rogers",
+            "You learn more from failure than from success. Don't let it stop you. Failure builds character. - Unknown",
+            "It's not whether you get knocked down, it's whether you get up. - Vince Lombardi",
+            "If you are working on something that you really care about, you don't have to be pushed. The vision pulls you. - Steve Jobs",
+            "People who are crazy enough to think they can change the world, are the ones who do. - Rob Siltanen",
+            "Failure will never overtake me if my determination to succeed is strong enough. - Og Mandino",
+            "We don't have to be smarter than the rest. We have to be more disciplined than the rest. - Warren Buffett",
+            "How wonderful it is that nobody need wait a single moment before starting to improve the world. - Anne Frank",
+            "Whether you think you can or you think you can't, you're right. - Henry Ford",
+            "The only person you are destined to become is the person you decide to be. - Ralph Waldo Emerson",
+            "Go confidently in the direction of your dreams. Live the life you have imagined. - Henry David Thoreau",
+            "Believe you can and you're halfway there. - Theodore Roosevelt",
+            "The best time to plant a tree was 20 years ago. The second best time is now. - Chinese Proverb"
+        ];
+        this.init();
+    }
+
+    init() {
+        this.displayQuote();
+    }
+
+    displayQuote() {
+        const quoteElement = document.getElementById('quoteText');
+        const authorElement = document.getElementById('quoteAuthor');
+        
+        if (!quoteElement || !authorElement) return;
+
+        const randomQuote = this.getRandomQuote();
+        const [text, author] = randomQuote.split(' - ');
+        
+        quoteElement.textContent = text;
+        authorElement.textContent = `- ${author}`;
+    }
+
+    getRandomQuote() {
+        return this.quotes[Math.floor(Math.random() * this.quotes.length)];
+    }
+}
+
+// Notification Management System
+class NotificationManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.scheduledNotifications = new Map();
+        // How many days ahead the occurrences of a series get reminders
+        this.seriesWindowDays = 7;
+        this.permissionGranted = false;
+        this.init();
+    }
+
+    async init() {
+        if ('Notification' in window) {
+            const permission = await Notification.requestPermission();
+            this.permissionGranted = permission === 'granted';
+            
+            if (this.permissionGranted) {
+                console.log('Notification permission granted');
+                this.scheduleAllTaskNotifications();
+            } else {
+                console.log('Notification permission denied');
+            }
+        }
+
+        if ('serviceWorker' in navigator) {
+            this.registerServiceWorker();
+        }
+    }
+
+    async registerServiceWorker() {
+        try {
+            const swCode = `
+                self.addEventListener('notificationclick', function(event) {
+                    event.notification.close();
+                    event.waitUntil(
+                        clients.openWindow('/')
+                    );
+                });
+            `;
+            
+            const blob = new Blob([swCode], { type: 'application/javascript' });
+            const swUrl = URL.createObjectURL(blob);
+            
+            await navigator.serviceWorker.register(swUrl);
+            console.log('Service Worker registered for notifications');
+        } catch (error) {
+            console.log('Service Worker registration failed:', error);
+        }
+    }
+
+    showNotification(title, body, icon = '🚀', tag = null) {
+        if (!this.permissionGranted) {
+            this.showCustomNotification(title, body, icon);
+            return;
+        }
+
+        const notification = new Notification(title, {
+            body: body,
+            icon: this.createIconDataUrl(icon),
+            tag: tag,
+            badge: this.createIconDataUrl('🏅'),
+            vibrate: [100, 50, 100],
+            requireInteraction: true
+        });
+
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+
+        setTimeout(() => {
+            notification.close();
+        }, 10000);
+    }
+
+    createIconDataUrl(emoji) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(emoji, 32, 32);
+        
+        return canvas.toDataURL();
+    }
+
+    showCustomNotification(title, body, icon) {
+        const notification = document.createElement('div');
+        notification.className = 'custom-notification';
+        notification.innerHTML = `
+            <div class="notification-content">
+                <div class="notification-icon">${icon}</div>
+                <div class="notification-text">
+                    <div class="notification-title">${escapeHtml(title)}</div>
+                    <div class="notification-message">${escapeHtml(body)}</div>
+                </div>
+                <button class="notification-close" onclick="this.parentNode.parentNode.remove()">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, 8000);
+        
+        setTimeout(() => {
+            notification.style.transform = 'translateX(0)';
+            notification.style.opacity = '1';
+        }, 10);
+    }
+
+    scheduleTaskNotifications(task) {
+        if (!task) return;
+
+        if (task.recurrence) {
+            this.scheduleSeriesNotifications(task);
+            return;
+        }
+
+        // A stored occurrence replaces the series' reminders for its day
+        if (task.seriesId) {
+            this.cancelTaskNotifications(`${task.seriesId}@${task.occurrenceDate}`);
+        }
+
+        if (task.completed) return;
+
+        const taskDateTime = new Date(`${task.date}T${task.startTime}`);
+        const now = new Date();
+
+        this.cancelTaskNotifications(task.id);
+
+        // Schedule 1 hour before notification
+        const oneHourBefore = new Date(taskDateTime.getTime() - 60 * 60 * 1000);
+        if (oneHourBefore > now) {
+            const timeout1h = setTimeout(() => {
+                this.showNotification(
+                    '⏰ Task Reminder - 1 Hour',
+                    `"${task.title}" starts in 1 hour at ${this.formatTime(task.startTime)}`,
+                    '⏰',
+                    `task-1h-${task.id}`
+                );
+            }, oneHourBefore.getTime() - now.getTime());
+            
+            this.scheduledNotifications.set(`${task.id}-1h`, timeout1h);
+        }
+
+        // Schedule 5 minutes before notification
+        const fiveMinutesBefore = new Date(taskDateTime.getTime() - 5 * 60 * 1000);
+        if (fiveMinutesBefore > now) {
+            const timeout5m = setTimeout(() => {
+                this.showNotification(
+                    '🚨 Task Alert - 5 Minutes!',
+                    `"${task.title}" is starting soon! Get ready.`,
+                    '🚨',
+                    `task-5m-${task.id}`
+                );
+            }, fiveMinutesBefore.getTime() - now.getTime());
+            
+            this.scheduledNotifications.set(`${task.id}-5m`, timeout5m);
+        }
+
+        // Schedule start time notification
+        if (taskDateTime > now) {
+            const timeoutStart = setTimeout(() => {
+                this.showNotification(
+                    '▶️ Task Starting Now!',
+                    `"${task.title}" is scheduled to start now.`,
+                    '▶️',
+                    `task-start-${task.id}`
+                );
+            }, taskDateTime.getTime() - now.getTime());
+            
+            this.scheduledNotifications.set(`${task.id}-start`, timeoutStart);
+        }
+    }
+
+    // Reminders for each occurrence of a series in the coming days; the
+    // series is scheduled again before that window runs out
+    scheduleSeriesNotifications(series) {
+        this.cancelTaskNotifications(series.id);
+
+        const recurrence = this.storage.recurrence;
+        const today = new Date().toISOString().split('T')[0];
+        this.storage.getOccurrences(today, recurrence.addDays(today, this.seriesWindowDays))
+            .filter(occurrence => occurrence.seriesId === series.id)
+            .forEach(occurrence => this.scheduleTaskNotifications(occurrence));
+
+        const refresh = setTimeout(() => {
+            const current = this.storage.getSeries().find(s => s.id === series.id);
+            if (current) {
+                this.scheduleSeriesNotifications(current);
+            }
+        }, (this.seriesWindowDays - 1) * 24 * 60 * 60 * 1000);
+        this.scheduledNotifications.set(`${series.id}-series`, refresh);
+    }
+
+    cancelTaskNotifications(taskId) {
+        const keys = [`${taskId}-1h`, `${taskId}-5m`, `${taskId}-start`, `${taskId}-series`];
+        // Occurrences of a series are keyed `<seriesId>@<date>-...`
+        this.scheduledNotifications.forEach((timeout, key) => {
+            if (key.startsWith(`${taskId}@`)) keys.push(key);
+        });
+        
+        keys.forEach(key => {
+            if (this.scheduledNotifications.has(key)) {
+                clearTimeout(this.scheduledNotifications.get(key));
+                this.scheduledNotifications.delete(key);
+            }
+        });
+    }
+
+    scheduleAllTaskNotifications() {
+        const tasks = this.storage.getTasks();
+        const incompleteTasks = tasks.filter(task => !task.completed);
+        
+        this.clearAllNotifications();
+        
+        incompleteTasks.forEach(task => {
+            this.scheduleTaskNotifications(task);
+        });
+
+        const series = this.storage.getSeries();
+        series.forEach(task => this.scheduleSeriesNotifications(task));
+        
+        console.log(`Scheduled notifications for ${incompleteTasks.length} tasks and ${series.length} recurring series`);
+    }
+
+    clearAllNotifications() {
+        this.scheduledNotifications.forEach(timeout => {
+            clearTimeout(timeout);
+        });
+        this.scheduledNotifications.clear();
+    }
+
+    showDailyCompletionNotification() {
+        this.showNotification(
+            '🎉 Daily Goals Achieved!',
+            'Congratulations! You completed all your tasks for today. You earned a new badge!',
+            '🏆'
+        );
+    }
+
+    showBadgeEarnedNotification(badge) {
+        this.showNotification(
+            '🏅 New Badge Earned!',
+            `Achievement unlocked: ${badge.title}`,
+            badge.icon
+        );
+    }
+
+    showTaskCompletedNotification(task) {
+        this.showNotification(
+            '✅ Task Completed!',
+            `Great job completing "${task.title}"!`,
+            '✅'
+        );
+    }
+
+    formatTime(time) {
+        return new Date(`2000-01-01T${time}`).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    getNotificationStats() {
+        return {
+            permissionGranted: this.permissionGranted,
+            scheduledCount: this.scheduledNotifications.size,
+            isSupported: 'Notification' in window
+        };
+    }
+}
+
+// Chart Management System
+class ChartManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.charts = {};
+        this.initCharts();
+    }
+
+    initCharts() {
+        this.createProgressChart();
+        this.createPriorityChart();
+    }
+
+    createProgressChart() {
+        const ctx = document.getElementById('progressChart');
+        if (!ctx) return;
+
+        const stats = this.storage.getTaskStats();
+        const todayStats = stats.today;
+
+        this.charts.progress = new Chart(ctx, {
+            type: 'pie',
+            data: {
+                labels: ['Completed', 'Pending'],
+                datasets: [{
+                    data: [todayStats.completed, todayStats.total - todayStats.completed],
+                    backgroundColor: [
+                        'rgba(78, 205, 196, 0.8)',
+                        'rgba(255, 234, 167, 0.8)'
+                    ],
+                    borderColor: [
+                        'rgba(78, 205, 196, 1)',
+                        'rgba(255, 234, 167, 1)'
+                    ],
+                    borderWidth: 2,
+                    hoverOffset: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            padding: 20,
+                            usePointStyle: true,
+                            font: {
+                                size: 14
+                            },
+                            color: getComputedStyle(document.documentElement)
+                                .getPropertyValue('--text-color').trim()
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: `Today's Progress (${todayStats.total} tasks)`,
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        },
+                        color: getComputedStyle(document.documentElement)
+                            .getPropertyValue('--text-color').trim(),
+                        padding: 20
+                    }
+                },
+                animation: {
+                    animateRotate: true,
+                    animateScale: true,
+                    duration: 1000,
+                    easing: 'easeOutQuart'
+                }
+            }
+        });
+    }
+
+    createPriorityChart() {
+        const ctx = document.getElementById('priorityChart');
+        if (!ctx) return;
+
+        const stats = this.storage.getTaskStats();
+        const priorityStats = stats.byPriority;
+
+        this.charts.priority = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: ['High Priority', 'Medium Priority', 'Low Priority'],
+                datasets: [{
+                    label: 'Number of Tasks',
+                    data: [priorityStats.high, priorityStats.medium, priorityStats.low],
+                    backgroundColor: [
+                        'rgba(253, 121, 168, 0.8)',
+                        'rgba(255, 234, 167, 0.8)',
+                        'rgba(78, 205, 196, 0.8)'
+                    ],
+                    borderColor: [
+                        'rgba(253, 121, 168, 1)',
+                        'rgba(255, 234, 167, 1)',
+                        'rgba(78, 205, 196, 1)'
+                    ],
+                    borderWidth: 2,
+                    borderRadius: 6,
+                    borderSkipped: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    title: {
+                        display: true,
+                        text: 'Tasks by Priority',
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        },
+                        color: getComputedStyle(document.documentElement)
+                            .getPropertyValue('--text-color').trim(),
+                        padding: 20
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            stepSize: 1,
+                            color: getComputedStyle(document.documentElement)
+                                .getPropertyValue('--text-muted').trim()
+                        },
+                        grid: {
+                            color: getComputedStyle(document.documentElement)
+                                .getPropertyValue('--border-color').trim()
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            color: getComputedStyle(document.documentElement)
+                                .getPropertyValue('--text-muted').trim()
+                        },
+                        grid: {
+                            display: false
+                        }
+                    }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeOutQuart'
+                }
+            }
+        });
+    }
+
+    updateCharts() {
+        const stats = this.storage.getTaskStats();
+        
+        if (this.charts.progress) {
+            const todayStats = stats.today;
+            this.charts.progress.data.datasets[0].data = [
+                todayStats.completed, 
+                todayStats.total - todayStats.completed
+            ];
+            this.charts.progress.options.plugins.title.text = 
+                `Today's Progress (${todayStats.total} tasks)`;
+            this.charts.progress.update('active');
+        }
+
+        if (this.charts.priority) {
+            const priorityStats = stats.byPriority;
+            this.charts.priority.data.datasets[0].data = [
+                priorityStats.high,
+                priorityStats.medium,
+                priorityStats.low
+            ];
+            this.charts.priority.update('active');
+        }
+    }
+
+    updateChartThemes() {
+        const textColor = getComputedStyle(document.documentElement)
+            .getPropertyValue('--text-color').trim();
+        const textMuted = getComputedStyle(document.documentElement)
+            .getPropertyValue('--text-muted').trim();
+        const borderColor = getComputedStyle(document.documentElement)
+            .getPropertyValue('--border-color').trim();
+
+        Object.values(this.charts).forEach(chart => {
+            if (chart && chart.options) {
+                if (chart.options.plugins?.legend?.labels) {
+                    chart.options.plugins.legend.labels.color = textColor;
+                }
+                if (chart.options.plugins?.title) {
+                    chart.options.plugins.title.color = textColor;
+                }
+                
+                if (chart.options.scales?.y?.ticks) {
+                    chart.options.scales.y.ticks.color = textMuted;
+                    chart.options.scales.y.grid.color = borderColor;
+                }
+                if (chart.options.scales?.x?.ticks) {
+                    chart.options.scales.x.ticks.color = textMuted;
+                    if (chart.options.scales.x.grid) {
+                        chart.options.scales.x.grid.color = borderColor;
+                    }
+                }
+                
+                chart.update('none');
+            }
+        });
+    }
+
+    resizeCharts() {
+        Object.values(this.charts).forEach(chart => {
+            if (chart) {
+                chart.resize();
+            }
+        });
+    }
+}
+
+// Badge Management System
+class BadgeManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.badgeDefinitions = this.initializeBadgeDefinitions();
+        this.init();
+    }
+
+    initializeBadgeDefinitions() {
+        return {
+            firstTask: {
+                id: 'firstTask',
+                title: 'Getting Started',
+                description: 'Complete your first task',
+                icon: '🎯',
+                category: 'milestone',
+                condition: (userStats) => userStats.completedTasks >= 1
+            },
+            dailyCompletion: {
+                id: 'dailyCompletion',
+                title: 'Daily Champion',
+                description: 'Complete all tasks in a single day',
+                icon: '🏆',
+                category: 'daily',
+                condition: (userStats, tasks) => {
+                    const today = new Date().toISOString().split('T')[0];
+                    const todayTasks = tasks.filter(task => task.date === today);
+                    return todayTasks.length > 0 && todayTasks.every(task => task.completed);
+                }
+            },
+            streak3: {
+                id: 'streak3',
+                title: 'On Fire',
+                description: 'Complete all tasks for 3 consecutive days',
+                icon: '🔥',
+                category: 'streak',
+                condition: (userStats, tasks) => this.checkCompletionStreak(tasks, 3)
+            },
+            streak7: {
+                id: 'streak7',
+                title: 'Unstoppable',
+                description: 'Complete all tasks for 7 consecutive days',
+                icon: '⚡',
+                category: 'streak',
+                condition: (userStats, tasks) => this.checkCompletionStreak(tasks, 7)
+            },
+            earlyBird: {
+                id: 'earlyBird',
+                title: 'Early Bird',
+                description: 'Complete a task before 7 AM',
+                icon: '🐦',
+                category: 'time',
+                condition: (userStats, tasks) => {
+                    return tasks.some(task => {
+                        if (!task.completed || !task.completedAt) return false;
+                        const completedTime = new Date(task.completedAt);
+                        return completedTime.getHours() < 7;
+                    });
+                }
+            },
+            nightOwl: {
+                id: 'nightOwl',
+                title: 'Night Owl',
+                description: 'Complete a task after 10 PM',
+                icon: '🦉',
+                category: 'time',
+                condition: (userStats, tasks) => {
+                    return tasks.some(task => {
+                        if (!task.completed || !task.completedAt) return false;
+                        const completedTime = new Date(task.completedAt);
+                        return completedTime.getHours() >= 22;
+                    });
+                }
+            },
+            taskMaster: {
+                id: 'taskMaster',
+                title: 'Task Master',
+                description: 'Complete 50 tasks total',
+                icon: '🎓',
+                category: 'milestone',
+                condition: (userStats) => userStats.completedTasks >= 50
+            },
+            prioritizer: {
+                id: 'prioritizer',
+                title: 'Priority Master',
+                description: 'Complete 10 high-priority tasks',
+                icon: '🎭',
+                category: 'priority',
+                condition: (userStats, tasks) => {
+                    const highPriorityCompleted = tasks.filter(task => 
+                        task.completed && task.priority === 'high'
+                    );
+                    return highPriorityCompleted.length >= 10;
+                }
+            },
+            organizer: {
+                id: 'organizer',
+                title: 'Super Organizer',
+                description: 'Have 20 tasks scheduled in advance',
+                icon: '📋',
+                category: 'planning',
+                condition: (userStats, tasks) => {
+                    const futureTasks = tasks.filter(task => {
+                        const taskDate = new Date(task.date);
+                        const today = new Date();
+                        today.setHours(0, 0, 0, 0);
+                        return taskDate > today;
+                    });
+                    return futureTasks.length >= 20;
+                }
+            },
+            weekendWarrior: {
+                id: 'weekendWarrior',
+                title: 'Weekend Warrior',
+                description: 'Complete tasks on both Saturday and Sunday',
+                icon: '🏋️',
+                category: 'weekend',
+                condition: (userStats, tasks) => {
+                    const weekendTasks = tasks.filter(task => {
+                        const taskDate = new Date(task.date);
+                        const day = taskDate.getDay();
+                        return (day === 0 || day === 6) && task.completed;
+                    });
+                    
+                    const saturdayCompleted = weekendTasks.some(task => 
+                        new Date(task.date).getDay() === 6
+                    );
+                    const sundayCompleted = weekendTasks.some(task => 
+                        new Date(task.date).getDay() === 0
+                    );
+                    
+                    return saturdayCompleted && sundayCompleted;
+                }
+            }
+        };
+    }
+
+    init() {
+        this.checkAllBadges();
+        this.renderBadges();
+    }
+
+    checkCompletionStreak(tasks, requiredDays) {
+        const today = new Date();
+        let streak = 0;
+        
+        for (let i = 0; i < 365; i++) {
+            const checkDate = new Date(today);
+            checkDate.setDate(today.getDate() - i);
+            const dateString = checkDate.toISOString().split('T')[0];
+            
+            const dayTasks = tasks.filter(task => task.date === dateString);
+            
+            if (dayTasks.length === 0) {
+                continue;
+            }
+            
+            const allCompleted = dayTasks.every(task => task.completed);
+            
+            if (allCompleted) {
+                streak++;
+            } else {
+                break;
+            }
+            
+            if (streak >= requiredDays) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+
+    checkAllBadges() {
+        const tasks = this.storage.getHistoryTasks();
+        const userStats = this.storage.getTaskStats();
+        const currentBadges = this.storage.getBadges();
+        const currentBadgeIds = currentBadges.map(badge => badge.id);
+
+        Object.values(this.badgeDefinitions).forEach(badgeDef => {
+            if (currentBadgeIds.includes(badgeDef.id)) return;
+
+            if (badgeDef.condition(userStats, tasks)) {
+                this.awardBadge(badgeDef);
+            }
+        });
+    }
+
+    awardBadge(badgeDefinition) {
+        const badge = {
+            ...badgeDefinition,
+            earnedAt: new Date().toISOString()
+        };
+
+        const addedBadge = this.storage.addBadge(badge);
+        
+        if (addedBadge) {
+            if (window.notificationManager) {
+                window.notificationManager.showBadgeEarnedNotification(badge);
+            }
+
+            this.showBadgeCelebration(badge);
+            this.renderBadges();
+            
+            if (window.taskManager) {
+                window.taskManager.updateStats();
+            }
+
+            console.log(`Badge earned: ${badge.title}`);
+        }
+    }
+
+    showBadgeCelebration(badge) {
+        const celebration = document.createElement('div');
+        celebration.className = 'badge-celebration';
+        celebration.innerHTML = `
+            <div class="celebration-content">
+                <div class="celebration-icon">${badge.icon}</div>
+                <div class="celebration-title">New Badge Earned!</div>
+                <div class="celebration-badge-title">${badge.title}</div>
+                <div class="celebration-description">${badge.description}</div>
+            </div>
+        `;
+
+        document.body.appendChild(celebration);
+
+        setTimeout(() => {
+            celebration.classList.add('show');
+        }, 10);
+
+        setTimeout(() => {
+            if (celebration.parentNode) {
+                celebration.remove();
+            }
+        }, 4000);
+    }
+
+    checkDailyCompletionBadge() {
+        const tasks = this.storage.getHistoryTasks();
+        const today = new Date().toISOString().split('T')[0];
+        const todayTasks = tasks.filter(task => task.date === today);
+        
+        if (todayTasks.length > 0 && todayTasks.every(task => task.completed)) {
+            const currentBadges = this.storage.getBadges();
+            const dailyBadge = this.badgeDefinitions.dailyCompletion;
+            
+            const todayBadge = currentBadges.find(badge => 
+                badge.id === 'dailyCompletion' && 
+                badge.earnedAt.split('T')[0] === today
+            );
+
+            if (!todayBadge) {
+                this.awardBadge(dailyBadge);
+                
+                if (window.notificationManager) {
+                    window.notificationManager.showDailyCompletionNotification();
+                }
+            }
+        }
+    }
+
+    renderBadges() {
+        const badgesContainer = document.getElementById('badgesContainer');
+        if (!badgesContainer) return;
+
+        const userBadges = this.storage.getBadges();
+        
+        if (userBadges.length === 0) {
+            badgesContainer.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-trophy"></i>
+                    <h3>No badges yet</h3>
+                    <p>Complete tasks to earn your first badge!</p>
+                </div>
+            `;
+            return;
+        }
+
+        userBadges.sort((a, b) => new Date(b.earnedAt) - new Date(a.earnedAt));
+
+        badgesContainer.innerHTML = userBadges.map(badge => 
+            this.createBadgeCard(badge)
+        ).join('');
+    }
+
+    createBadgeCard(badge) {
+        const earnedDate = new Date(badge.earnedAt);
+        const isRecent = Date.now() - earnedDate.getTime() < 24 * 60 * 60 * 1000;
+
+        return `
+            <div class="badge-item ${isRecent ? 'recent' : ''}" data-badge-id="${badge.id}">
+                <div class="badge-icon">${badge.icon}</div>
+                <div class="badge-title">${badge.title}</div>
+                <div class="badge-description">${badge.description}</div>
+                <div class="badge-date">
+                    Earned ${earnedDate.toLocaleDateString()}
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Undo/Redo History System
+class HistoryManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = 50;
+        this.toastTimeout = null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    snapshotTasks(taskIds) {
+        const tasks = this.storage.getUserTasks();
+        return taskIds.reduce((states, taskId) => {
+            const task = tasks.find(t => t.id === taskId);
+            states[taskId] = task ? JSON.parse(JSON.stringify(task)) : null;
+            return states;
+        }, {});
+    }
+
+    snapshotBadges() {
+        return JSON.parse(JSON.stringify(this.storage.getBadges()));
+    }
+
+    // Captures the state of `taskIds` and the user's badges before an
+    // operation; call commit() on the result once it is done, passing the
+    // ids of any tasks it created
+    begin(label, taskIds = []) {
+        const before = this.snapshotTasks(taskIds);
+        const badgesBefore = this.snapshotBadges();
+
+        return {
+            commit: (createdIds = []) => {
+                createdIds.forEach(taskId => {
+                    before[taskId] = null;
+                });
+                this.push({
+                    label,
+                    before,
+                    after: this.snapshotTasks(Object.keys(before)),
+                    badgesBefore,
+                    badgesAfter: this.snapshotBadges()
+                });
+            }
+        };
+    }
+
+    // Drops purged tasks from every step so undoing an earlier change can't
+    // bring them back
+    forget(taskIds) {
+        [...this.undoStack, ...this.redoStack].forEach(step => {
+            taskIds.forEach(taskId => {
+                delete step.before[taskId];
+                delete step.after[taskId];
+            });
+        });
+    }
+
+    push(step) {
+        this.undoStack.push(step);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+
+        this.apply(step.before, step.badgesBefore);
+        this.redoStack.push(step);
+        this.showToast(`Undone: ${step.label}`, 'Redo', () => this.redo());
+        return step;
+    }
+
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+
+        this.apply(step.after, step.badgesAfter);
+        this.undoStack.push(step);
+        this.showToast(`Redone: ${step.label}`, 'Undo', () => this.undo());
+        return step;
+    }
+
+    apply(taskStates, badges) {
+        this.storage.restoreTasks(taskStates);
+        // Badges earned by an undone step are taken back, then the rest are
+        // re-evaluated against the restored tasks
+        this.storage.setBadges(badges);
+
+        if (window.notificationManager) {
+            Object.entries(taskStates).forEach(([taskId, task]) => {
+                window.notificationManager.cancelTaskNotifications(taskId);
+                if (task && !task.deletedAt && !task.archivedAt) {
+                    window.notificationManager.scheduleTaskNotifications(task);
+                }
+            });
+        }
+
+        if (window.taskManager) {
+            window.taskManager.renderTasks();
+            window.taskManager.updateStats();
+        }
+
+        if (window.chartManager) {
+            window.chartManager.updateCharts();
+        }
+
+        if (window.badgeManager) {
+            window.badgeManager.checkAllBadges();
+            window.badgeManager.renderBadges();
+        }
+    }
+
+    showUndoToast(message) {
+        this.showToast(message, 'Undo', () => this.undo());
+    }
+
+    showToast(message, actionLabel, action) {
+        let toast = document.getElementById('historyToast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'historyToast';
+            toast.className = 'history-toast';
+            document.body.appendChild(toast);
+        }
+
+        toast.innerHTML = `
+            <span class="history-toast-message">${escapeHtml(message)}</span>
+            <button class="history-toast-action">${actionLabel}</button>
+        `;
+        toast.querySelector('.history-toast-action').addEventListener('click', () => {
+            this.hideToast();
+            action();
+        });
+        toast.classList.add('show');
+
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => this.hideToast(), 6000);
+    }
+
+    hideToast() {
+        const toast = document.getElementById('historyToast');
+        if (toast) {
+            toast.classList.remove('show');
+        }
+    }
+}
+
+// Trash & Retention System
+class TrashManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.activeTab = 'trash';
+        this.init();
+    }
+
+    init() {
+        const retentionForm = document.getElementById('retentionForm');
+        if (retentionForm) {
+            retentionForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveRetentionPolicy();
+            });
+        }
+
+        const trashModal = document.getElementById('trashModal');
+        if (trashModal) {
+            trashModal.addEventListener('click', (e) => this.handleItemAction(e));
+        }
+    }
+
+    handleItemAction(e) {
+        const button = e.target.closest('[data-task-action]');
+        const item = button && button.closest('[data-task-id]');
+        if (!item) return;
+
+        const taskId = item.dataset.taskId;
+        const actions = {
+            restore: () => this.restoreTask(taskId),
+            purge: () => this.purgeTask(taskId),
+            unarchive: () => this.unarchiveTask(taskId)
+        };
+        actions[button.dataset.taskAction]();
+    }
+
+    showTrashModal(tab = 'trash') {
+        this.activeTab = tab;
+        this.populateRetentionForm();
+        this.render();
+        document.getElementById('trashModal').style.display = 'block';
+    }
+
+    closeTrashModal() {
+        document.getElementById('trashModal').style.display = 'none';
+    }
+
+    switchTab(tab) {
+        this.activeTab = tab;
+        this.render();
+    }
+
+    render() {
+        document.querySelectorAll('#trashModal .modal-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === this.activeTab);
+        });
+        document.querySelectorAll('#trashModal .modal-tab-panel').forEach(panel => {
+            panel.style.display = panel.dataset.tab === this.activeTab ? 'block' : 'none';
+        });
+
+        if (this.activeTab === 'trash') {
+            this.renderList('trashList', this.storage.getTrashedTasks(), 'deletedAt');
+        } else if (this.activeTab === 'archive') {
+            this.renderList('archiveList', this.storage.getArchivedTasks(), 'archivedAt');
+        }
+    }
+
+    renderList(containerId, tasks, dateField) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const emptyTrashButton = document.getElementById('emptyTrashBtn');
+        if (emptyTrashButton && dateField === 'deletedAt') {
+            emptyTrashButton.disabled = tasks.length === 0;
+        }
+
+        if (tasks.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas ${dateField === 'deletedAt' ? 'fa-trash' : 'fa-archive'}"></i>
+                    <h3>${dateField === 'deletedAt' ? 'Trash is empty' : 'No archived tasks'}</h3>
+                </div>
+            `;
+            return;
+        }
+
+        const sorted = [...tasks].sort((a, b) => b[dateField].localeCompare(a[dateField]));
+        container.innerHTML = sorted.map(task => `
+            <div class="trash-item" data-task-id="${escapeHtml(task.id)}">
+                <div class="trash-item-info">
+                    <div class="trash-item-title">${escapeHtml(task.title)}</div>
+                    <div class="trash-item-meta">
+                        ${new Date(task.date).toLocaleDateString()} ·
+                        ${dateField === 'deletedAt' ? 'Deleted' : 'Archived'} ${new Date(task[dateField]).toLocaleDateString()}
+                    </div>
+                </div>
+                <div class="trash-item-actions">
+                    ${dateField === 'deletedAt' ? `
+                        <button class="task-btn complete-btn" data-task-action="restore">
+                            <i class="fas fa-undo"></i> Restore
+                        </button>
+                        <button class="task-btn delete-btn" data-task-action="purge">
+                            <i class="fas fa-times"></i> Delete Forever
+                        </button>
+                    ` : `
+                        <button class="task-btn edit-btn" data-task-action="unarchive">
+                            <i class="fas fa-box-open"></i> Unarchive
+                        </button>
+                    `}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    runStep(label, taskIds, action, toast) {
+        const step = window.historyManager ? window.historyManager.begin(label, taskIds) : null;
+        action();
+        if (step) {
+            step.commit();
+        }
+        this.refresh();
+        if (toast && window.historyManager) {
+            window.historyManager.showUndoToast(toast);
+        }
+    }
+
+    restoreTask(taskId) {
+        this.runStep('Task restored', [taskId], () => {
+            const task = this.storage.restoreTask(taskId);
+            if (task && window.notificationManager) {
+                window.notificationManager.scheduleTaskNotifications(task);
+            }
+        });
+    }
+
+    unarchiveTask(taskId) {
+        this.runStep('Task unarchived', [taskId], () => this.storage.unarchiveTask(taskId));
+    }
+
+    // Purges can't be undone, so they ask first and stay out of the history
+    purgeTask(taskId) {
+        if (!confirm('Delete this task forever? This cannot be undone.')) return;
+        this.purge([taskId]);
+    }
+
+    emptyTrash() {
+        const taskIds = this.storage.getTrashedTasks().map(task => task.id);
+        if (taskIds.length === 0) return;
+        if (!confirm(`Permanently delete ${taskIds.length} tasks in the trash? This cannot be undone.`)) return;
+
+        this.purge(taskIds);
+    }
+
+    purge(taskIds) {
+        this.storage.purgeTasks(taskIds);
+        if (window.historyManager) {
+            window.historyManager.forget(taskIds);
+        }
+        this.refresh();
+    }
+
+    populateRetentionForm() {
+        const policy = this.storage.getRetentionPolicy();
+        document.getElementById('retentionTrashDays').value = policy.trashDays;
+        document.getElementById('retentionCompletedDays').value = policy.completedDays;
+        document.getElementById('retentionCompletedAction').value = policy.completedAction;
+    }
+
+    saveRetentionPolicy() {
+        const trashDays = parseInt(document.getElementById('retentionTrashDays').value, 10);
+        const completedDays = parseInt(document.getElementById('retentionCompletedDays').value, 10);
+        const completedAction = document.getElementById('retentionCompletedAction').value;
+
+        // Completed tasks that are kept don't need a number of days
+        const keep = completedAction === 'keep';
+        if (!(trashDays >= 1) || (!keep && !(completedDays >= 1))) {
+            alert('Retention periods must be at least 1 day');
+            return;
+        }
+
+        this.storage.setRetentionPolicy(completedDays >= 1
+            ? { trashDays, completedDays, completedAction }
+            : { trashDays, completedAction });
+        const result = this.applyRetentionPolicy();
+        const resultElement = document.getElementById('retentionResult');
+        if (resultElement) {
+            const completed = {
+                archive: `${result.cleaned} old completed tasks archived.`,
+                delete: `${result.cleaned} old completed tasks moved to the trash.`,
+                keep: 'Completed tasks stay in the list.'
+            };
+            resultElement.textContent = `Policy saved. ${result.purged} tasks purged from the trash. ` +
+                completed[completedAction];
+        }
+    }
+
+    applyRetentionPolicy() {
+        const result = this.storage.applyRetentionPolicy();
+        if (result.purged > 0 || result.cleaned > 0) {
+            this.refresh();
+        }
+        return result;
+    }
+
+    refresh() {
+        if (window.taskManager) {
+            window.taskManager.renderTasks();
+            window.taskManager.updateStats();
+        }
+
+        if (window.chartManager) {
+            window.chartManager.updateCharts();
+        }
+
+        if (document.getElementById('trashModal').style.display === 'block') {
+            this.render();
+        }
+    }
+}
+
+// Storage Health System
+class StorageHealthManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.warnRatio = 0.8;
+        this.criticalRatio = 0.95;
+        this.checkInterval = 60 * 1000;
+        this.lastCheck = 0;
+        this.warnedLevel = null;
+        this.init();
+    }
+
+    init() {
+        this.storage.onWriteError(error => this.handleWriteError(error));
+        this.storage.onChange(() => this.scheduleCheck());
+    }
+
+    handleWriteError(error) {
+        // Undo steps may refer to the change that was rolled back
+        if (window.historyManager) {
+            window.historyManager.clear();
+        }
+
+        const message = this.storage.isQuotaError(error)
+            ? 'Storage is full, so your last change could not be saved and has been undone. Free up some space and try again.'
+            : 'Your last change could not be saved and has been undone.';
+        this.showAlert(message, 'error');
+    }
+
+    scheduleCheck() {
+        if (Date.now() - this.lastCheck < this.checkInterval) return;
+        this.checkUsage();
+    }
+
+    // Warns once per level as usage crosses the warning and critical marks
+    async checkUsage() {
+        this.lastCheck = Date.now();
+        const estimate = await this.getEstimate();
+        if (!estimate) return null;
+
+        const ratio = estimate.usage / estimate.quota;
+        const level = ratio >= this.criticalRatio ? 'critical' : ratio >= this.warnRatio ? 'warning' : null;
+        if (level && level !== this.warnedLevel) {
+            this.showAlert(
+                `Mission Monitor is using ${Math.round(ratio * 100)}% of the storage this browser allows. ` +
+                'Free up space before new changes stop being saved.',
+                level === 'critical' ? 'error' : 'warning'
+            );
+        }
+        this.warnedLevel = level;
+        return estimate;
+    }
+
+    async getEstimate() {
+        try {
+            return await this.storage.getStorageEstimate();
+        } catch (error) {
+            console.error('Error estimating storage usage:', error);
+            return null;
+        }
+    }
+
+    showAlert(message, type) {
+        const alertElement = document.getElementById('storageAlert');
+        if (!alertElement) return;
+
+        document.getElementById('storageAlertText').textContent = message;
+        alertElement.className = `storage-alert storage-alert-${type}`;
+        alertElement.style.display = 'flex';
+    }
+
+    dismissAlert() {
+        document.getElementById('storageAlert').style.display = 'none';
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    async showStorageModal() {
+        document.getElementById('storageModal').style.display = 'block';
+        document.getElementById('storageCleanupResult').textContent = '';
+        await this.render();
+    }
+
+    closeStorageModal() {
+        document.getElementById('storageModal').style.display = 'none';
+    }
+
+    async render() {
+        const estimate = await this.checkUsage();
+        const fill = document.getElementById('storageMeterFill');
+        const usageText = document.getElementById('storageUsageText');
+
+        if (estimate) {
+            const percent = Math.min(100, (estimate.usage / estimate.quota) * 100);
+            fill.style.width = `${percent}%`;
+            fill.classList.toggle('storage-meter-warning', percent >= this.warnRatio * 100);
+            usageText.textContent = `${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} used ` +
+                `(${percent.toFixed(1)}%)${estimate.measured ? ' · localStorage limit is approximate' : ''}`;
+        } else {
+            fill.style.width = '0%';
+            usageText.textContent = 'This browser does not report storage usage.';
+        }
+
+        const snapshots = await this.storage.adapter.loadSnapshots(this.storage.getCurrentUser());
+        const policy = this.storage.getRetentionPolicy();
+        const counts = {
+            active: this.storage.getTasks().length,
+            archived: this.storage.getArchivedTasks().length,
+            trashed: this.storage.getTrashedTasks().length
+        };
+        document.getElementById('storageBreakdown').innerHTML = `
+            <li><i class="fas fa-tasks"></i> ${counts.active} tasks in your list</li>
+            <li><i class="fas fa-archive"></i> ${counts.archived} archived tasks</li>
+            <li><i class="fas fa-trash"></i> ${counts.trashed} tasks in the trash</li>
+            <li><i class="fas fa-history"></i> ${snapshots.length} restore points</li>
+        `;
+
+        document.getElementById('storageArchiveDays').textContent = policy.completedDays;
+        document.getElementById('storageEmptyTrashBtn').disabled = counts.trashed === 0;
+        document.getElementById('storagePruneSnapshotsBtn').disabled = snapshots.length <= 1;
+    }
+
+    // Cleanup actions
+    async archiveOldCompleted() {
+        const days = this.storage.getRetentionPolicy().completedDays;
+        const count = this.storage.cleanupOldData(days, 'archive');
+        if (count > 0 && window.trashManager) {
+            window.trashManager.refresh();
+        }
+        await this.finishCleanup(`${count} completed tasks archived.`);
+    }
+
+    async emptyTrash() {
+        const before = this.storage.getTrashedTasks().length;
+        if (window.trashManager) {
+            window.trashManager.emptyTrash();
+        }
+        const purged = before - this.storage.getTrashedTasks().length;
+        await this.finishCleanup(`${purged} tasks deleted from the trash.`);
+    }
+
+    async pruneSnapshots() {
+        const deleted = await this.storage.pruneSnapshots(this.storage.getCurrentUser(), 1);
+        await this.finishCleanup(`${deleted} older restore points deleted.`);
+    }
+
+    async finishCleanup(message) {
+        // Let pending writes land before measuring again
+        await this.storage.pendingWrite;
+        document.getElementById('storageCleanupResult').textContent = message;
+        await this.render();
+    }
+}
+
+// Restore Point System
+class SnapshotManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.snapshots = [];
+        this.reasons = {
+            daily: 'Daily snapshot',
+            manual: 'Manual snapshot',
+            import: 'Before import or restore',
+            cleanup: 'Before cleanup',
+            bulkDelete: 'Before bulk delete'
+        };
+    }
+
+    // One automatic snapshot per calendar day, taken when the app is used
+    async ensureDailySnapshot() {
+        const username = this.storage.getCurrentUser();
+        if (!username || this.storage.isVaultLocked(username)) return null;
+
+        const today = new Date().toDateString();
+        const snapshots = await this.storage.adapter.loadSnapshots(username);
+        const takenToday = snapshots.some(snapshot =>
+            snapshot.reason === 'daily' && new Date(snapshot.createdAt).toDateString() === today
+        );
+        return takenToday ? null : this.storage.takeSnapshot('daily');
+    }
+
+    async showSnapshotModal() {
+        document.getElementById('snapshotModal').style.display = 'block';
+        await this.render();
+    }
+
+    closeSnapshotModal() {
+        document.getElementById('snapshotModal').style.display = 'none';
+    }
+
+    async takeSnapshot() {
+        await this.storage.takeSnapshot('manual');
+        await this.render();
+    }
+
+    // What changed in the current data since the snapshot was taken
+    getDiffSummary(snapshot) {
+        try {
+            const plan = this.storage.planImport(snapshot.payload, 'replace');
+            return {
+                added: plan.tasks.removed.length,
+                removed: plan.tasks.added.length,
+                changed: plan.tasks.updated.length
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async render() {
+        const container = document.getElementById('snapshotList');
+        if (!container) return;
+
+        try {
+            this.snapshots = await this.storage.getSnapshots();
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            this.snapshots = [];
+        }
+
+        if (this.snapshots.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-history"></i>
+                    <h3>No restore points yet</h3>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.snapshots.map(snapshot => {
+            const diff = this.getDiffSummary(snapshot);
+            const summary = !diff
+                ? 'Cannot be compared with the current data'
+                : diff.added + diff.removed + diff.changed === 0
+                    ? 'Same as now'
+                    : `Since then: ${diff.added} added, ${diff.removed} removed, ${diff.changed} changed`;
+            return `
+                <div class="snapshot-item">
+                    <div class="snapshot-item-info">
+                        <div class="snapshot-item-title">
+                            ${new Date(snapshot.createdAt).toLocaleString()}
+                            <span class="snapshot-reason">${this.reasons[snapshot.reason] || snapshot.reason}</span>
+                        </div>
+                        <div class="snapshot-item-meta">
+                            ${snapshot.taskCount} tasks · ${snapshot.badgeCount} badges · ${summary}
+                        </div>
+                    </div>
+                    <button class="task-btn complete-btn" onclick="restoreSnapshot('${snapshot.id}')" ${diff ? '' : 'disabled'}>
+                        <i class="fas fa-undo"></i> Restore
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Restoring goes through importUserData, which takes a snapshot of the
+    // current data first, and is recorded in the undo history
+    async restoreSnapshot(snapshotId) {
+        const snapshot = this.snapshots.find(item => item.id === snapshotId);
+        if (!snapshot) return;
+
+        const existingIds = this.storage.getUserTasks().map(task => task.id);
+        const step = window.historyManager
+            ? window.historyManager.begin('Restore point applied', existingIds)
+            : null;
+        try {
+            this.storage.importUserData(snapshot.payload, { mode: 'replace' });
+        } catch (error) {
+            alert(`Could not restore: ${error.message}`);
+            return;
+        }
+        if (step) {
+            step.commit(this.storage.getUserTasks()
+                .map(task => task.id)
+                .filter(taskId => !existingIds.includes(taskId)));
+        }
+
+        if (window.missionMonitorApp) {
+            window.missionMonitorApp.refreshAppData();
+        }
+        if (window.notificationManager) {
+            window.notificationManager.scheduleAllTaskNotifications();
+        }
+        if (window.historyManager) {
+            window.historyManager.showUndoToast(`Restored data from ${new Date(snapshot.createdAt).toLocaleString()}`);
+        }
+        await this.render();
+    }
+}
+
+// Backup & Restore System
+class BackupManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.pendingPayload = null;
+        this.init();
+    }
+
+    init() {
+        const fileInput = document.getElementById('restoreFile');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) {
+                    this.loadBackupFile(fileInput.files[0]);
+                }
+            });
+        }
+
+        document.querySelectorAll('input[name="restoreMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderPreview());
+        });
+
+        const restoreForm = document.getElementById('restoreForm');
+        if (restoreForm) {
+            restoreForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.confirmRestore();
+            });
+        }
+    }
+
+    downloadBackup() {
+        const payload = this.storage.exportUserData();
+        const date = new Date().toISOString().split('T')[0];
+        const username = payload.user ? payload.user.username : 'user';
+        downloadFile(
+            `mission-monitor-backup-${username}-${date}.json`,
+            JSON.stringify(payload, null, 2),
+            'application/json'
+        );
+    }
+
+    async loadBackupFile(file) {
+        try {
+            this.pendingPayload = JSON.parse(await file.text());
+        } catch (error) {
+            this.pendingPayload = null;
+            this.showPreviewError('This file is not valid JSON.');
+            return;
+        }
+        this.renderPreview();
+    }
+
+    getSelectedMode() {
+        const selected = document.querySelector('input[name="restoreMode"]:checked');
+        return selected ? selected.value : 'replace';
+    }
+
+    renderPreview() {
+        const preview = document.getElementById('restorePreview');
+        if (!preview || !this.pendingPayload) return;
+
+        let plan;
+        try {
+            plan = this.storage.planImport(this.pendingPayload, this.getSelectedMode());
+        } catch (error) {
+            this.showPreviewError(error.message);
+            return;
+        }
+
+        const exportedAt = this.pendingPayload.exportedAt
+            ? new Date(this.pendingPayload.exportedAt).toLocaleString()
+            : 'unknown date';
+        const owner = this.pendingPayload.user
+            ? this.pendingPayload.user.displayName || this.pendingPayload.user.username
+            : 'unknown user';
+
+        preview.innerHTML = `
+            <p class="preview-meta">
+                Backup of ${escapeHtml(owner)} from ${exportedAt} (schema v${this.storage.migrator.getVersion(this.pendingPayload)})
+            </p>
+            <ul>
+                <li><i class="fas fa-plus"></i> ${plan.tasks.added.length} tasks added</li>
+                <li><i class="fas fa-pen"></i> ${plan.tasks.updated.length} tasks updated</li>
+                <li><i class="fas fa-equals"></i> ${plan.tasks.unchanged.length} tasks unchanged</li>
+                <li class="${plan.tasks.removed.length ? 'preview-removed' : ''}">
+                    <i class="fas fa-minus"></i> ${plan.tasks.removed.length} tasks removed
+                </li>
+                <li><i class="fas fa-trophy"></i> ${plan.badges.added.length} badges added, ${plan.badges.removed.length} removed</li>
+            </ul>
+        `;
+        this.setConfirmEnabled(true);
+    }
+
+    showPreviewError(message) {
+        const preview = document.getElementById('restorePreview');
+        if (preview) {
+            preview.innerHTML = `
+                <p class="restore-error">
+                    <i class="fas fa-exclamation-triangle"></i> ${escapeHtml(message)}
+                </p>
+            `;
+        }
+        this.setConfirmEnabled(false);
+    }
+
+    setConfirmEnabled(enabled) {
+        const confirmButton = document.getElementById('confirmRestoreBtn');
+        if (confirmButton) {
+            confirmButton.disabled = !enabled;
+        }
+    }
+
+    confirmRestore() {
+        if (!this.pendingPayload) return;
+
+        const existingIds = this.storage.getUserTasks().map(task => task.id);
+        const step = window.historyManager
+            ? window.historyManager.begin('Backup restored', existingIds)
+            : null;
+        try {
+            this.storage.importUserData(this.pendingPayload, { mode: this.getSelectedMode() });
+        } catch (error) {
+            this.showPreviewError(error.message);
+            return;
+        }
+        if (step) {
+            step.commit(this.storage.getUserTasks()
+                .map(task => task.id)
+                .filter(taskId => !existingIds.includes(taskId)));
+        }
+
+        this.closeRestoreModal();
+
+        if (window.missionMonitorApp) {
+            window.missionMonitorApp.refreshAppData();
+        }
+
+        if (window.notificationManager) {
+            window.notificationManager.scheduleAllTaskNotifications();
+            window.notificationManager.showNotification(
+                '📦 Backup Restored',
+                'Your tasks and badges have been restored.',
+                '📦'
+            );
+        }
+    }
+
+    showRestoreModal() {
+        document.getElementById('restoreModal').style.display = 'block';
+    }
+
+    closeRestoreModal() {
+        document.getElementById('restoreModal').style.display = 'none';
+        document.getElementById('restoreForm').reset();
+        this.pendingPayload = null;
+        this.setConfirmEnabled(false);
+        document.getElementById('restorePreview').innerHTML =
+            '<p class="preview-hint">Choose a backup file to see what will change.</p>';
+    }
+}
+
+// iCalendar Import/Export System
+class ICalendarManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.uidDomain = 'mission-monitor';
+        this.init();
+    }
+
+    init() {
+        const exportForm = document.getElementById('icsExportForm');
+        if (exportForm) {
+            exportForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleExport();
+            });
+        }
+
+        const importForm = document.getElementById('icsImportForm');
+        if (importForm) {
+            importForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleImport();
+            });
+        }
+
+        document.querySelectorAll('input[name="icsExportScope"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateRangeInputs());
+        });
+    }
+
+    // Export
+    getTaskUid(task) {
+        return task.icalUid || `${task.id}@${this.uidDomain}`;
+    }
+
+    exportTasks(tasks) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Mission Monitor//Task Tracker//EN',
+            'CALSCALE:GREGORIAN',
+            ...tasks.flatMap(task => this.buildEvent(task)),
+            'END:VCALENDAR'
+        ];
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    buildEvent(task) {
+        const priorityValues = { high: 1, medium: 5, low: 9 };
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${this.escapeText(this.getTaskUid(task))}`,
+            `DTSTAMP:${this.formatUtc(new Date())}`,
+            `DTSTART:${this.formatLocal(task.date, task.startTime)}`,
+            `DTEND:${this.formatLocal(task.date, task.endTime)}`,
+            `SUMMARY:${this.escapeText(task.title)}`
+        ];
+
+        if (task.description) {
+            lines.push(`DESCRIPTION:${this.escapeText(task.description)}`);
+        }
+
+        // PRIORITY is understood by most calendar apps; the X- properties
+        // carry the exact values back on re-import
+        lines.push(`PRIORITY:${priorityValues[task.priority] || 5}`);
+        lines.push(`X-MISSION-MONITOR-PRIORITY:${task.priority}`);
+        lines.push(`X-MISSION-MONITOR-COMPLETED:${task.completed ? 'TRUE' : 'FALSE'}`);
+        if (task.completedAt) {
+            lines.push(`X-MISSION-MONITOR-COMPLETED-AT:${this.formatUtc(new Date(task.completedAt))}`);
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    formatLocal(date, time) {
+        return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+    }
+
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // RFC 5545 limits content lines to 75 octets; longer ones continue on
+    // lines starting with a space
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    // Import
+    parse(text) {
+        const lines = text.replace(/\r\n/g, '\n').split('\n')
+            .reduce((unfolded, line) => {
+                if (/^[ \t]/.test(line) && unfolded.length > 0) {
+                    unfolded[unfolded.length - 1] += line.slice(1);
+                } else if (line.trim()) {
+                    unfolded.push(line);
+                }
+                return unfolded;
+            }, []);
+
+        const components = [];
+        let current = null;
+        lines.forEach(line => {
+            const property = this.parseProperty(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN' && ['VEVENT', 'VTODO'].includes(property.value.toUpperCase())) {
+                current = { type: property.value.toUpperCase(), props: {} };
+            } else if (property.name === 'END' && current && property.value.toUpperCase() === current.type) {
+                components.push(current);
+                current = null;
+            } else if (current && !current.props[property.name]) {
+                current.props[property.name] = property;
+            }
+        });
+        return components;
+    }
+
+    parseProperty(line) {
+        // The value starts at the first colon outside a quoted parameter
+        let inQuotes = false;
+        let separator = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                separator = i;
+                break;
+            }
+        }
+        if (separator === -1) return null;
+
+        const [name, ...paramParts] = line.slice(0, separator).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, value = ''] = part.split('=');
+            params[key.toUpperCase()] = value.replace(/"/g, '');
+        });
+        return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+    }
+
+    unescapeText(text) {
+        return text.replace(/\\([nN,;\\])/g, (match, char) =>
+            char.toLowerCase() === 'n' ? '\n' : char
+        );
+    }
+
+    // Returns { date, time, allDay } in local time. UTC values (trailing Z)
+    // are converted; TZID values are treated as floating local times.
+    parseDateValue(property) {
+        if (!property) return null;
+        const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes, , utc] = match;
+        if (hours === undefined || property.params.VALUE === 'DATE') {
+            return { date: `${year}-${month}-${day}`, time: null, allDay: true };
+        }
+
+        if (utc) {
+            const local = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes));
+            const pad = (value) => String(value).padStart(2, '0');
+            return {
+                date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+                time: `${pad(local.getHours())}:${pad(local.getMinutes())}`,
+                allDay: false
+            };
+        }
+        return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}`, allDay: false };
+    }
+
+    parseDuration(value) {
+        const match = value && value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?/);
+        if (!match) return null;
+        const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+        return ((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes;
+    }
+
+    addMinutes(time, minutes) {
+        const [hours, mins] = time.split(':').map(Number);
+        const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    mapPriority(props) {
+        const exact = props['X-MISSION-MONITOR-PRIORITY'];
+        if (exact && ['high', 'medium', 'low'].includes(exact.value)) {
+            return exact.value;
+        }
+
+        // RFC 5545: 1-4 high, 5 medium, 6-9 low, 0 undefined
+        const value = props.PRIORITY ? parseInt(props.PRIORITY.value, 10) : 0;
+        if (value >= 1 && value <= 4) return 'high';
+        if (value >= 6 && value <= 9) return 'low';
+        return 'medium';
+    }
+
+    componentToTask(component) {
+        const { props } = component;
+        const start = this.parseDateValue(props.DTSTART) ||
+            (component.type === 'VTODO' ? this.parseDateValue(props.DUE) : null);
+        if (!start || !props.SUMMARY) return null;
+
+        let startTime = start.time || '00:00';
+        let endTime;
+        if (start.allDay) {
+            endTime = '23:59';
+        } else {
+            const end = this.parseDateValue(props.DTEND) ||
+                (component.type === 'VTODO' ? this.parseDateValue(props.DUE) : null);
+            const duration = this.parseDuration(props.DURATION && props.DURATION.value);
+            if (end && end.date === start.date && end.time > startTime) {
+                endTime = end.time;
+            } else if (end && end.date > start.date) {
+                endTime = '23:59';
+            } else {
+                endTime = this.addMinutes(startTime, duration || 60);
+            }
+        }
+        if (endTime <= startTime) {
+            startTime = startTime === '23:59' ? '23:58' : startTime;
+            endTime = '23:59';
+        }
+
+        const completedFlag = props['X-MISSION-MONITOR-COMPLETED'];
+        const status = props.STATUS ? props.STATUS.value.toUpperCase() : '';
+        const completed = completedFlag
+            ? completedFlag.value.toUpperCase() === 'TRUE'
+            : status === 'COMPLETED' || Boolean(props.COMPLETED);
+        const completedAtProperty = props['X-MISSION-MONITOR-COMPLETED-AT'] || props.COMPLETED;
+        const completedAt = completed && completedAtProperty
+            ? this.parseUtcTimestamp(completedAtProperty.value)
+            : null;
+
+        const task = {
+            title: this.unescapeText(props.SUMMARY.value).trim(),
+            description: props.DESCRIPTION ? this.unescapeText(props.DESCRIPTION.value).trim() : '',
+            priority: this.mapPriority(props),
+            date: start.date,
+            startTime,
+            endTime,
+            completed,
+            icalUid: props.UID ? this.unescapeText(props.UID.value) : null
+        };
+        if (completed) {
+            task.completedAt = completedAt || new Date().toISOString();
+        }
+        return task;
+    }
+
+    parseUtcTimestamp(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z?$/);
+        if (!match) return null;
+        const [, year, month, day, hours, minutes, seconds] = match;
+        return new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds)).toISOString();
+    }
+
+    importCalendar(text, options = {}) {
+        const components = this.parse(text);
+        const knownUids = new Set(this.storage.getUserTasks().map(task => this.getTaskUid(task)));
+        const result = { imported: [], skipped: 0, invalid: 0 };
+        const tasks = [];
+
+        components.forEach(component => {
+            const task = this.componentToTask(component);
+            if (!task) {
+                result.invalid++;
+                return;
+            }
+            if (options.dedupe && task.icalUid && knownUids.has(task.icalUid)) {
+                result.skipped++;
+                return;
+            }
+            if (task.icalUid) {
+                knownUids.add(task.icalUid);
+            }
+            tasks.push(task);
+        });
+
+        if (tasks.length > 0) {
+            result.imported = this.storage.importTasks(tasks);
+        }
+        return result;
+    }
+
+    // UI
+    showCalendarModal() {
+        const today = new Date().toISOString().split('T')[0];
+        document.getElementById('icsRangeStart').value = today;
+        document.getElementById('icsRangeEnd').value = today;
+        document.getElementById('icsImportResult').innerHTML = '';
+        this.updateRangeInputs();
+        document.getElementById('calendarModal').style.display = 'block';
+    }
+
+    closeCalendarModal() {
+        document.getElementById('calendarModal').style.display = 'none';
+        document.getElementById('icsExportForm').reset();
+        document.getElementById('icsImportForm').reset();
+    }
+
+    updateRangeInputs() {
+        const scope = document.querySelector('input[name="icsExportScope"]:checked');
+        const useRange = scope && scope.value === 'range';
+        document.getElementById('icsRangeStart').disabled = !useRange;
+        document.getElementById('icsRangeEnd').disabled = !useRange;
+    }
+
+    handleExport() {
+        const scope = document.querySelector('input[name="icsExportScope"]:checked').value;
+        let tasks;
+        let suffix;
+
+        if (scope === 'range') {
+            const start = document.getElementById('icsRangeStart').value;
+            const end = document.getElementById('icsRangeEnd').value;
+            if (!start || !end || end < start) {
+                alert('Please choose a valid date range');
+                return;
+            }
+            // Recurring series are exported through their occurrences
+            tasks = [...this.storage.getHistoryTasks(), ...this.storage.getOccurrences(start, end)]
+                .filter(task => task.date >= start && task.date <= end);
+            suffix = `${start}_${end}`;
+        } else {
+            tasks = window.taskManager ? window.taskManager.getVisibleTasks() : this.storage.getTasks();
+            suffix = new Date().toISOString().split('T')[0];
+        }
+
+        if (tasks.length === 0) {
+            alert('There are no tasks to export');
+            return;
+        }
+
+        tasks.sort((a, b) => `${a.date}${a.startTime}`.localeCompare(`${b.date}${b.startTime}`));
+        downloadFile(`mission-monitor-${suffix}.ics`, this.exportTasks(tasks), 'text/calendar');
+    }
+
+    async handleImport() {
+        const fileInput = document.getElementById('icsFile');
+        const resultElement = document.getElementById('icsImportResult');
+        if (!fileInput.files[0]) return;
+
+        const text = await fileInput.files[0].text();
+        if (!/BEGIN:VCALENDAR/i.test(text)) {
+            resultElement.innerHTML = `
+                <p class="restore-error">
+                    <i class="fas fa-exclamation-triangle"></i> This file is not an iCalendar (.ics) file.
+                </p>
+            `;
+            return;
+        }
+
+        const step = window.historyManager ? window.historyManager.begin('Calendar imported') : null;
+        const result = this.importCalendar(text, {
+            dedupe: document.getElementById('icsDedupe').checked
+        });
+        if (step && result.imported.length > 0) {
+            step.commit(result.imported.map(task => task.id));
+        }
+
+        resultElement.innerHTML = `
+            <ul>
+                <li><i class="fas fa-plus"></i> ${result.imported.length} tasks imported</li>
+                <li><i class="fas fa-clone"></i> ${result.skipped} duplicates skipped</li>
+                <li><i class="fas fa-ban"></i> ${result.invalid} entries without a date or title ignored</li>
+            </ul>
+        `;
+
+        if (result.imported.length > 0) {
+            if (window.missionMonitorApp) {
+                window.missionMonitorApp.refreshAppData();
+            }
+
+            if (window.notificationManager) {
+                result.imported.forEach(task => {
+                    window.notificationManager.scheduleTaskNotifications(task);
+                });
+            }
+        }
+    }
+}
+
+// CSV Import/Export System
+class CsvManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.columns = [
+            { key: 'title', label: 'Title', aliases: ['name', 'task', 'subject'] },
+            { key: 'description', label: 'Description', aliases: ['notes', 'details'] },
+            { key: 'priority', label: 'Priority', aliases: [] },
+            { key: 'date', label: 'Date', aliases: ['day', 'due', 'duedate'] },
+            { key: 'startTime', label: 'Start Time', aliases: ['start', 'from'] },
+            { key: 'endTime', label: 'End Time', aliases: ['end', 'to'] },
+            { key: 'project', label: 'Project', aliases: ['list', 'category'] },
+            { key: 'tags', label: 'Tags', aliases: ['labels', 'tag'] },
+            { key: 'completed', label: 'Completed', aliases: ['done', 'status'] },
+            { key: 'completedAt', label: 'Completed At', aliases: [] },
+            { key: 'createdAt', label: 'Created At', aliases: ['created'] }
+        ];
+        this.parsed = null;
+        this.validRows = [];
+        this.init();
+    }
+
+    init() {
+        this.renderColumnOptions();
+
+        const exportForm = document.getElementById('csvExportForm');
+        if (exportForm) {
+            exportForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleExport();
+            });
+        }
+
+        const fileInput = document.getElementById('csvFile');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) {
+                    this.loadCsvFile(fileInput.files[0]);
+                }
+            });
+        }
+
+        const importForm = document.getElementById('csvImportForm');
+        if (importForm) {
+            importForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.commitImport();
+            });
+        }
+    }
+
+    // Export
+    renderColumnOptions() {
+        const container = document.getElementById('csvColumns');
+        if (!container) return;
+
+        container.innerHTML = this.columns.map(column => `
+            <label>
+                <input type="checkbox" name="csvColumn" value="${column.key}" checked>
+                ${column.label}
+            </label>
+        `).join('');
+    }
+
+    toCsv(tasks, columnKeys) {
+        const columns = this.columns.filter(column => columnKeys.includes(column.key));
+        const header = columns.map(column => this.escapeCell(column.label));
+        const rows = tasks.map(task => columns.map(column => {
+            const value = column.key === 'completed'
+                ? (task.completed ? 'Yes' : 'No')
+                : column.key === 'tags' ? (task.tags || []).join(', ') : task[column.key];
+            return this.escapeCell(value);
+        }));
+        return [header, ...rows].map(row => row.join(',')).join('\r\n');
+    }
+
+    escapeCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        // Keep spreadsheets from evaluating cell text as a formula
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        if (/[",\r\n]/.test(text) || text !== text.trim()) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    handleExport() {
+        const columnKeys = Array.from(document.querySelectorAll('input[name="csvColumn"]:checked'))
+            .map(input => input.value);
+        if (columnKeys.length === 0) {
+            alert('Please choose at least one column');
+            return;
+        }
+
+        // Recurring series are exported through their occurrences, from the
+        // first one up to a year ahead for series that don't end
+        const scope = document.querySelector('input[name="csvExportScope"]:checked').value;
+        const today = new Date().toISOString().split('T')[0];
+        const firstDate = this.storage.getSeries()
+            .reduce((first, series) => series.date < first ? series.date : first, today);
+        const tasks = scope === 'view' && window.taskManager
+            ? window.taskManager.getVisibleTasks()
+            : [
+                ...this.storage.getHistoryTasks(),
+                ...this.storage.getOccurrences(firstDate, this.storage.recurrence.addDays(today, 365))
+            ];
+        if (tasks.length === 0) {
+            alert('There are no tasks to export');
+            return;
+        }
+
+        tasks.sort((a, b) => `${a.date}${a.startTime}`.localeCompare(`${b.date}${b.startTime}`));
+        const date = new Date().toISOString().split('T')[0];
+        // The byte order mark makes Excel read the file as UTF-8
+        downloadFile(`mission-monitor-tasks-${date}.csv`, '\ufeff' + this.toCsv(tasks, columnKeys), 'text/csv');
+    }
+
+    // Import
+    parseCsv(text) {
+        const source = text.replace(/^\ufeff/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter(cells => cells.some(value => value.trim()));
+        return { headers: nonEmpty[0] || [], rows: nonEmpty.slice(1) };
+    }
+
+    normalizeHeader(header) {
+        return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    guessMapping(headers) {
+        const normalized = headers.map(header => this.normalizeHeader(header));
+        return this.columns.reduce((mapping, column) => {
+            const candidates = [column.key, column.label, ...column.aliases]
+                .map(name => this.normalizeHeader(name));
+            mapping[column.key] = normalized.findIndex(header => candidates.includes(header));
+            return mapping;
+        }, {});
+    }
+
+    readCell(row, index) {
+        if (index === undefined || index < 0) return '';
+        const value = (row[index] || '').trim();
+        // Undo the formula guard added on export
+        return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+    }
+
+    normalizeDate(value) {
+        if (!value) return '';
+        const iso = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+        if (iso) {
+            const [year, month, day] = iso.slice(1).map(Number);
+            const check = new Date(year, month - 1, day);
+            if (check.getMonth() !== month - 1 || check.getDate() !== day) return null;
+            return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+        }
+
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) return null;
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+    }
+
+    normalizeTime(value) {
+        if (!value) return '';
+        const match = value.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        const meridiem = match[3] ? match[3].toLowerCase()[0] : null;
+        if (meridiem === 'p' && hours < 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+        if (hours > 23 || minutes > 59) return null;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    normalizePriority(value) {
+        const priorities = {
+            high: 'high', h: 'high', '1': 'high',
+            medium: 'medium', med: 'medium', m: 'medium', '2': 'medium', '': 'medium',
+            low: 'low', l: 'low', '3': 'low'
+        };
+        return priorities[value.toLowerCase()] || null;
+    }
+
+    normalizeTimestamp(value) {
+        if (!value) return undefined;
+        const parsed = new Date(value);
+        return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+    }
+
+    rowToTask(row, mapping) {
+        const cell = (key) => this.readCell(row, mapping[key]);
+        const errors = [];
+
+        const task = {
+            title: cell('title'),
+            description: cell('description'),
+            priority: this.normalizePriority(cell('priority')),
+            date: this.normalizeDate(cell('date')),
+            startTime: this.normalizeTime(cell('startTime')),
+            endTime: this.normalizeTime(cell('endTime')),
+            project: cell('project'),
+            tags: parseTags(cell('tags')),
+            completed: /^(yes|y|true|1|x|done|completed)$/i.test(cell('completed'))
+        };
+
+        if (task.priority === null) errors.push(`Unknown priority "${cell('priority')}"`);
+        if (task.date === null) errors.push(`Invalid date "${cell('date')}"`);
+        if (task.startTime === null) errors.push(`Invalid start time "${cell('startTime')}"`);
+        if (task.endTime === null) errors.push(`Invalid end time "${cell('endTime')}"`);
+
+        ['completedAt', 'createdAt'].forEach(key => {
+            const timestamp = this.normalizeTimestamp(cell(key));
+            if (timestamp === null) {
+                errors.push(`Invalid ${key === 'createdAt' ? 'created' : 'completed'} timestamp "${cell(key)}"`);
+            } else if (timestamp) {
+                task[key] = timestamp;
+            }
+        });
+        if (task.completed && !task.completedAt) {
+            task.completedAt = new Date().toISOString();
+        } else if (!task.completed) {
+            delete task.completedAt;
+        }
+
+        if (errors.length === 0 && window.taskManager) {
+            const error = window.taskManager.validateTask(task);
+            if (error) errors.push(error);
+        }
+
+        return { task, errors };
+    }
+
+    async loadCsvFile(file) {
+        this.parsed = this.parseCsv(await file.text());
+        this.validRows = [];
+        this.setImportEnabled(false);
+        document.getElementById('csvReport').innerHTML = '';
+
+        if (this.parsed.headers.length === 0 || this.parsed.rows.length === 0) {
+            document.getElementById('csvMapping').innerHTML = `
+                <p class="restore-error">
+                    <i class="fas fa-exclamation-triangle"></i> The file needs a header row and at least one task row.
+                </p>
+            `;
+            return;
+        }
+        this.renderMapping();
+    }
+
+    renderMapping() {
+        const mapping = this.guessMapping(this.parsed.headers);
+        const options = (selected) => [
+            `<option value="-1">— Not imported —</option>`,
+            ...this.parsed.headers.map((header, index) =>
+                `<option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHtml(header)}</option>`
+            )
+        ].join('');
+
+        document.getElementById('csvMapping').innerHTML = `
+            <p class="preview-meta">${this.parsed.rows.length} rows found. Match the file's columns to task fields:</p>
+            <div class="csv-mapping-grid">
+                ${this.columns.map(column => `
+                    <label for="csvMap-${column.key}">${column.label}</label>
+                    <select id="csvMap-${column.key}" data-field="${column.key}">
+                        ${options(mapping[column.key])}
+                    </select>
+                `).join('')}
+            </div>
+            <button type="button" class="cancel-btn csv-check-btn" onclick="checkCsvRows()">
+                <i class="fas fa-clipboard-check"></i> Check Rows
+            </button>
+        `;
+
+        document.querySelectorAll('#csvMapping select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.validRows = [];
+                this.setImportEnabled(false);
+                document.getElementById('csvReport').innerHTML = '';
+            });
+        });
+    }
+
+    readMapping() {
+        return Array.from(document.querySelectorAll('#csvMapping select')).reduce((mapping, select) => {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+            return mapping;
+        }, {});
+    }
+
+    checkRows() {
+        if (!this.parsed) return;
+
+        const mapping = this.readMapping();
+        const results = this.parsed.rows.map((row, index) => ({
+            // Line numbers as a spreadsheet shows them, counting the header
+            line: index + 2,
+            ...this.rowToTask(row, mapping)
+        }));
+        const invalid = results.filter(result => result.errors.length > 0);
+        this.validRows = results.filter(result => result.errors.length === 0).map(result => result.task);
+
+        const shownErrors = invalid.slice(0, 100);
+        document.getElementById('csvReport').innerHTML = `
+            <p class="preview-meta">
+                ${this.validRows.length} rows ready to import, ${invalid.length} with errors${invalid.length ? ' (these will be skipped)' : ''}.
+            </p>
+            ${shownErrors.length ? `
+                <table class="csv-report-table">
+                    <thead><tr><th>Row</th><th>Problem</th></tr></thead>
+                    <tbody>
+                        ${shownErrors.map(result => `
+                            <tr>
+                                <td>${result.line}</td>
+                                <td>${result.errors.map(error => escapeHtml(error)).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${invalid.length > shownErrors.length ? `<p class="preview-meta">…and ${invalid.length - shownErrors.length} more rows with errors.</p>` : ''}
+            ` : ''}
+        `;
+
+        const importButton = document.getElementById('csvImportBtn');
+        importButton.innerHTML = `<i class="fas fa-file-import"></i> Import ${this.validRows.length} Rows`;
+        this.setImportEnabled(this.validRows.length > 0);
+    }
+
+    setImportEnabled(enabled) {
+        const importButton = document.getElementById('csvImportBtn');
+        if (importButton) {
+            importButton.disabled = !enabled;
+        }
+    }
+
+    commitImport() {
+        if (this.validRows.length === 0) return;
+
+        const step = window.historyManager ? window.historyManager.begin('CSV imported') : null;
+        const imported = this.storage.importTasks(this.validRows);
+        if (step) {
+            step.commit(imported.map(task => task.id));
+        }
+        this.closeCsvModal();
+
+        if (window.missionMonitorApp) {
+            window.missionMonitorApp.refreshAppData();
+        }
+
+        if (window.notificationManager) {
+            imported.forEach(task => window.notificationManager.scheduleTaskNotifications(task));
+            window.notificationManager.showNotification(
+                '📄 CSV Imported',
+                `${imported.length} tasks were imported.`,
+                '📄'
+            );
+        }
+    }
+
+    showCsvModal() {
+        document.getElementById('csvModal').style.display = 'block';
+    }
+
+    closeCsvModal() {
+        document.getElementById('csvModal').style.display = 'none';
+        document.getElementById('csvImportForm').reset();
+        document.getElementById('csvMapping').innerHTML = '';
+        document.getElementById('csvReport').innerHTML = '';
+        document.getElementById('csvImportBtn').innerHTML = '<i class="fas fa-file-import"></i> Import';
+        this.parsed = null;
+        this.validRows = [];
+        this.setImportEnabled(false);
+    }
+}
+
+// Server Sync System
+class SyncManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.metaFields = ['revision', 'updatedAt', 'userId'];
+        this.syncDelay = 2000;
+        this.pullInterval = 5 * 60 * 1000;
+        this.syncing = null;
+        this.syncTimer = null;
+        this.status = 'idle';
+        this.notifiedConflicts = 0;
+        this.init();
+    }
+
+    init() {
+        this.storage.onChange((changes, options) => this.queueChanges(changes, options));
+
+        window.addEventListener('online', () => this.requestSync(0));
+        setInterval(() => this.requestSync(0), this.pullInterval);
+
+        // Another tab may have queued changes or finished a sync
+        document.addEventListener('dataChanged', (e) => {
+            const changes = e.detail.changes;
+            if (!changes || changes.some(change => change.store === 'meta' && change.value.key === 'sync')) {
+                this.renderStatus();
+            }
+        });
+
+        const syncForm = document.getElementById('syncForm');
+        if (syncForm) {
+            syncForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSettings();
+            });
+        }
+
+        const conflictForm = document.getElementById('syncConflictForm');
+        if (conflictForm) {
+            conflictForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.resolveConflicts();
+            });
+        }
+    }
+
+    getUsername() {
+        return this.storage.getCurrentUser();
+    }
+
+    getState(username = this.getUsername()) {
+        const state = username ? this.storage.getSyncState(username) : null;
+        return state ? JSON.parse(JSON.stringify(state)) : null;
+    }
+
+    isEnabled(state = this.getState()) {
+        return Boolean(state && state.enabled && state.endpoint);
+    }
+
+    recordKey(store, id) {
+        return `${store}:${id}`;
+    }
+
+    isQueued(state, store, id) {
+        return state.queue.some(entry => entry.store === store && entry.id === id);
+    }
+
+    dequeue(state, store, id) {
+        state.queue = state.queue.filter(entry => !(entry.store === store && entry.id === id));
+    }
+
+    // Queue
+    queueChanges(changes, options = {}) {
+        if (!changes || options.fromSync) return;
+
+        const username = this.getUsername();
+        const state = this.getState(username);
+        if (!state) return;
+
+        const entries = changes
+            .map(change => this.getChangedRecord(change, username, state))
+            .filter(entry => entry && !this.isQueued(state, entry.store, entry.id));
+        if (entries.length === 0) return;
+
+        entries.forEach(entry => {
+            if (!this.isQueued(state, entry.store, entry.id)) {
+                state.queue.push(entry);
+            }
+        });
+        this.storage.setSyncState(username, state);
+        this.renderStatus();
+        this.requestSync(this.syncDelay);
+    }
+
+    getChangedRecord(change, username, state) {
+        if (change.store === 'users') {
+            const settingsChanged = change.op === 'patch' && change.key === username && change.value.settings;
+            return settingsChanged ? { store: 'settings', id: 'settings' } : null;
+        }
+
+        if (change.store === 'badges') {
+            const [userId, id] = change.op === 'put'
+                ? [change.value.userId, change.value.id]
+                : change.key;
+            return userId === username ? { store: 'badges', id } : null;
+        }
+
+        if (change.store === 'tasks') {
+            const id = change.op === 'put' ? change.value.id : change.key;
+            const task = this.storage.getData().tasks.find(t => t.id === id);
+            // Purged tasks are gone locally; only ones the server knows about need a delete
+            const owned = task
+                ? task.userId === username
+                : Boolean(state.shadows[this.recordKey('tasks', id)]);
+            return owned ? { store: 'tasks', id } : null;
+        }
+
+        return null;
+    }
+
+    getLocalRecord(username, store, id) {
+        const data = this.storage.getData();
+        if (store === 'settings') {
+            const user = data.users[username];
+            return (user && user.settings) || null;
+        }
+        return data[store].find(record => record.id === id && record.userId === username) || null;
+    }
+
+    getAllRecords(username) {
+        const data = this.storage.getData();
+        return [
+            ...data.tasks.filter(task => task.userId === username)
+                .map(task => ({ store: 'tasks', id: task.id })),
+            ...data.badges.filter(badge => badge.userId === username)
+                .map(badge => ({ store: 'badges', id: badge.id })),
+            { store: 'settings', id: 'settings' }
+        ];
+    }
+
+    toChange(username, store, id, record) {
+        if (store === 'settings') {
+            return this.storage.patchChange('users', username, { settings: record });
+        }
+        if (!record) {
+            return this.storage.deleteChange(store, store === 'badges' ? [username, id] : id);
+        }
+        return this.storage.putChange(store, { ...record, userId: username });
+    }
+
+    requestSync(delay = this.syncDelay) {
+        if (!this.isEnabled()) return;
+
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.sync(), delay);
+    }
+
+    // Sync
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.runSync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async runSync() {
+        const username = this.getUsername();
+        if (!this.isEnabled(this.getState(username))) return false;
+
+        if (navigator.onLine === false) {
+            this.setStatus('offline');
+            return false;
+        }
+
+        this.setStatus('syncing');
+        try {
+            // A rejected push means another device got there first: pull its
+            // version, merge, and push again
+            for (let round = 0; round < 3; round++) {
+                await this.pull(username);
+                const rejected = await this.push(username);
+                if (rejected === 0) break;
+            }
+
+            const state = this.getState(username);
+            state.lastSyncedAt = new Date().toISOString();
+            state.lastError = null;
+            this.storage.setSyncState(username, state);
+            this.setStatus(state.conflicts.length > 0 ? 'conflicts' : 'synced');
+            this.notifyConflicts(state.conflicts.length);
+            return true;
+        } catch (error) {
+            // fetch rejects with a TypeError when the server can't be reached
+            const offline = error.name === 'TypeError';
+            if (offline) {
+                console.warn('Sync server unreachable, changes stay queued');
+            } else {
+                console.error('Sync failed:', error);
+            }
+            const state = this.getState(username);
+            if (state) {
+                state.lastError = offline ? null : error.message;
+                this.storage.setSyncState(username, state);
+            }
+            this.setStatus(offline ? 'offline' : 'error');
+            return false;
+        }
+    }
+
+    async request(state, username, method, path, body = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (state.token) {
+            headers.Authorization = `Bearer ${state.token}`;
+        }
+
+        const response = await fetch(
+            `${state.endpoint.replace(/\/+$/, '')}/users/${encodeURIComponent(username)}${path}`,
+            { method, headers, body: body ? JSON.stringify(body) : undefined }
+        );
+        if (!response.ok) {
+            throw new Error(`Sync server responded with ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async pull(username) {
+        const config = this.getState(username);
+        const payload = await this.request(config, username, 'GET', `/changes?since=${config.cursor || 0}`);
+
+        // Pulls use the backup export format, so records written by older
+        // clients are upgraded and checked the same way a restore is
+        const remote = this.storage.migrator.migrate(payload);
+        const errors = this.storage.validateUserData(remote);
+        if (errors.length > 0) {
+            throw new Error(`Invalid sync data: ${errors[0]}`);
+        }
+        if (this.getUsername() !== username) {
+            throw new Error('Signed-in user changed during sync');
+        }
+
+        // Read after the request so changes queued while it ran are kept
+        const state = this.getState(username);
+        const deleted = remote.deleted || {};
+        const incoming = [
+            ...remote.tasks.map(record => ({ store: 'tasks', id: record.id, record })),
+            ...(remote.badges || []).map(record => ({ store: 'badges', id: record.id, record })),
+            ...(remote.settings ? [{ store: 'settings', id: 'settings', record: remote.settings }] : []),
+            ...(deleted.tasks || []).map(entry => ({ store: 'tasks', id: entry.id, record: null, revision: entry.revision })),
+            ...(deleted.badges || []).map(entry => ({ store: 'badges', id: entry.id, record: null, revision: entry.revision }))
+        ];
+
+        const changes = [];
+        incoming.forEach(entry => {
+            const change = this.mergeIncoming(state, username, entry);
+            if (change) changes.push(change);
+        });
+
+        if (changes.length > 0) {
+            this.storage.applySyncChanges(changes);
+        }
+        state.cursor = payload.cursor;
+        this.storage.setSyncState(username, state);
+    }
+
+    // Works out what one record pulled from the server does locally and
+    // returns the local change to make, if any. Updates `state` in place.
+    mergeIncoming(state, username, entry) {
+        const { store, id, record } = entry;
+        const key = this.recordKey(store, id);
+        const revision = record ? record.revision : entry.revision;
+        const base = state.shadows[key] || null;
+        const local = this.getLocalRecord(username, store, id);
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        // Our own push coming back, or nothing new since the last sync
+        if (base && base.revision === revision && Boolean(base.deleted) === !record) {
+            return null;
+        }
+
+        state.conflicts = state.conflicts.filter(conflict => this.recordKey(conflict.store, conflict.id) !== key);
+
+        if (!this.isQueued(state, store, id)) {
+            this.setShadow(state, key, record, revision);
+            if (same(local, record) || (!local && !record)) return null;
+            return this.toChange(username, store, id, record);
+        }
+
+        // Changed on both sides. Conflicts keep the old shadow as the merge
+        // base until they are resolved, and hold back the push meanwhile.
+        if (!local && !record) {
+            this.dequeue(state, store, id);
+            delete state.shadows[key];
+            return null;
+        }
+
+        if (!local || !record) {
+            state.conflicts.push({ store, id, local, remote: record, revision, fields: [] });
+            return null;
+        }
+
+        const { merged, fields } = this.mergeRecords(base && !base.deleted ? base : null, local, record);
+        if (fields.length > 0) {
+            state.conflicts.push({ store, id, local, remote: record, revision, fields });
+            return null;
+        }
+
+        this.setShadow(state, key, record, revision);
+        merged.revision = Math.max(local.revision || 0, revision || 0) + 1;
+        merged.updatedAt = new Date().toISOString();
+        return this.toChange(username, store, id, merged);
+    }
+
+    // Three-way merge against the copy both sides last agreed on: a field
+    // changed on one side takes that side's value, a field changed
+    // differently on both sides is a conflict. Without a common copy the
+    // more recently updated record wins.
+    mergeRecords(base, local, remote) {
+        if (!base) {
+            const newer = (remote.updatedAt || '') > (local.updatedAt || '') ? remote : local;
+            return { merged: { ...newer }, fields: [] };
+        }
+
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const merged = { ...local };
+        const fields = [];
+        new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(field => {
+            if (this.metaFields.includes(field) || same(local[field], remote[field])) return;
+
+            if (same(base[field], local[field])) {
+                merged[field] = remote[field];
+            } else if (!same(base[field], remote[field])) {
+                fields.push(field);
+            }
+        });
+        return { merged, fields };
+    }
+
+    setShadow(state, key, record, revision) {
+        state.shadows[key] = record
+            ? JSON.parse(JSON.stringify(record))
+            : { revision, deleted: true };
+    }
+
+    async push(username) {
+        const state = this.getState(username);
+        const conflicted = new Set(state.conflicts.map(conflict => this.recordKey(conflict.store, conflict.id)));
+        const entries = state.queue.filter(entry => !conflicted.has(this.recordKey(entry.store, entry.id)));
+        if (entries.length === 0) return 0;
+
+        // Pushes use the backup export format, trimmed to the queued records
+        const exported = this.storage.exportUserData();
+        const queued = (store, id) => entries.some(entry => entry.store === store && entry.id === id);
+        const sent = {};
+        const payload = {
+            ...exported,
+            user: { username, displayName: exported.user ? exported.user.displayName : username },
+            tasks: exported.tasks.filter(task => queued('tasks', task.id)),
+            badges: exported.badges.filter(badge => queued('badges', badge.id)),
+            settings: queued('settings', 'settings') ? exported.settings : undefined,
+            deleted: { tasks: [], badges: [] },
+            baseRevisions: { tasks: {}, badges: {}, settings: {} }
+        };
+
+        entries.forEach(entry => {
+            const shadow = state.shadows[this.recordKey(entry.store, entry.id)];
+            payload.baseRevisions[entry.store][entry.id] = shadow ? shadow.revision : 0;
+
+            const record = entry.store === 'settings'
+                ? payload.settings
+                : payload[entry.store].find(item => item.id === entry.id);
+            sent[this.recordKey(entry.store, entry.id)] = record || null;
+            if (!record && entry.store !== 'settings') {
+                payload.deleted[entry.store].push({ id: entry.id });
+            }
+        });
+
+        const result = await this.request(state, username, 'POST', '/changes', payload);
+        const rejected = new Set((result.rejected || []).map(entry => this.recordKey(entry.store, entry.id)));
+        const accepted = new Map((result.accepted || []).map(entry => [this.recordKey(entry.store, entry.id), entry.revision]));
+
+        // Re-read: the user may have edited while the request was in flight
+        const latest = this.getState(username);
+        entries.forEach(entry => {
+            const key = this.recordKey(entry.store, entry.id);
+            if (rejected.has(key)) return;
+
+            const record = sent[key];
+            const revision = accepted.has(key) ? accepted.get(key) : (record ? record.revision : 0);
+            this.setShadow(latest, key, record ? { ...record, revision } : null, revision);
+
+            const local = this.getLocalRecord(username, entry.store, entry.id);
+            if (JSON.stringify(local) === JSON.stringify(record)) {
+                this.dequeue(latest, entry.store, entry.id);
+            }
+        });
+        this.storage.setSyncState(username, latest);
+        return rejected.size;
+    }
+
+    // Conflicts
+    notifyConflicts(count) {
+        if (count > this.notifiedConflicts && window.notificationManager) {
+            window.notificationManager.showNotification(
+                '🔄 Sync Conflicts',
+                `${count} ${count === 1 ? 'change was' : 'changes were'} also edited on another device. Open Server Sync to review.`,
+                '🔄'
+            );
+        }
+        this.notifiedConflicts = count;
+    }
+
+    getConflictTitle(conflict) {
+        if (conflict.store === 'settings') return 'Settings';
+        const record = conflict.local || conflict.remote;
+        return conflict.store === 'badges'
+            ? `Badge: ${record.name || record.id}`
+            : record.title;
+    }
+
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') return '—';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    showConflictModal() {
+        this.renderConflicts();
+        document.getElementById('syncConflictModal').style.display = 'block';
+    }
+
+    closeConflictModal() {
+        document.getElementById('syncConflictModal').style.display = 'none';
+    }
+
+    renderConflicts() {
+        const container = document.getElementById('syncConflictList');
+        if (!container) return;
+
+        const state = this.getState();
+        const conflicts = state ? state.conflicts : [];
+        if (conflicts.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-check-circle"></i>
+                    <h3>No conflicts to review</h3>
+                </div>
+            `;
+            return;
+        }
+
+        const option = (name, value, label, detail, checked) => `
+            <label class="conflict-option">
+                <input type="radio" name="${name}" value="${value}" ${checked ? 'checked' : ''}>
+                <span><strong>${label}:</strong> ${escapeHtml(detail)}</span>
+            </label>
+        `;
+
+        container.innerHTML = conflicts.map((conflict, index) => {
+            const rows = conflict.fields.length > 0
+                ? conflict.fields.map(field => `
+                    <div class="conflict-field">
+                        <div class="conflict-field-name">${escapeHtml(field)}</div>
+                        ${option(`conflict-${index}-${field}`, 'local', 'This device', this.formatValue(conflict.local[field]), true)}
+                        ${option(`conflict-${index}-${field}`, 'remote', 'Server', this.formatValue(conflict.remote[field]), false)}
+                    </div>
+                `).join('')
+                : `
+                    <div class="conflict-field">
+                        ${option(`conflict-${index}`, 'local', 'This device', conflict.local ? 'edited' : 'deleted', true)}
+                        ${option(`conflict-${index}`, 'remote', 'Server', conflict.remote ? 'edited' : 'deleted', false)}
+                    </div>
+                `;
+            return `
+                <div class="conflict-item">
+                    <div class="conflict-title">${escapeHtml(this.getConflictTitle(conflict))}</div>
+                    ${rows}
+                </div>
+            `;
+        }).join('');
+    }
+
+    chooseAll(side) {
+        document.querySelectorAll(`#syncConflictList input[value="${side}"]`).forEach(radio => {
+            radio.checked = true;
+        });
+    }
+
+    // Applies the choices made in the conflict dialog. The result becomes a
+    // new revision on top of the server's, so the next push is accepted.
+    resolveConflicts() {
+        const username = this.getUsername();
+        const state = this.getState(username);
+        if (!state || state.conflicts.length === 0) {
+            this.closeConflictModal();
+            return;
+        }
+
+        const choice = (name) => {
+            const selected = document.querySelector(`#syncConflictList input[name="${name}"]:checked`);
+            return selected ? selected.value : 'local';
+        };
+
+        const changes = [];
+        state.conflicts.forEach((conflict, index) => {
+            const { store, id, remote, revision } = conflict;
+            const key = this.recordKey(store, id);
+            const local = this.getLocalRecord(username, store, id);
+            this.setShadow(state, key, remote, revision);
+
+            if (conflict.fields.length === 0 || !local) {
+                if (choice(`conflict-${index}`) === 'remote' || (!local && !remote)) {
+                    this.dequeue(state, store, id);
+                    if (!remote) delete state.shadows[key];
+                    changes.push(this.toChange(username, store, id, remote));
+                } else if (local) {
+                    changes.push(this.toChange(username, store, id, {
+                        ...local,
+                        revision: Math.max(local.revision || 0, revision || 0) + 1,
+                        updatedAt: new Date().toISOString()
+                    }));
+                }
+                return;
+            }
+
+            const resolved = { ...local };
+            conflict.fields.forEach(field => {
+                if (choice(`conflict-${index}-${field}`) === 'remote') {
+                    resolved[field] = remote[field];
+                }
+            });
+            resolved.revision = Math.max(local.revision || 0, revision || 0) + 1;
+            resolved.updatedAt = new Date().toISOString();
+            changes.push(this.toChange(username, store, id, resolved));
+        });
+
+        state.conflicts = [];
+        this.storage.setSyncState(username, state);
+        if (changes.length > 0) {
+            this.storage.applySyncChanges(changes);
+        }
+        this.notifiedConflicts = 0;
+        this.closeConflictModal();
+        this.renderStatus();
+        this.sync();
+    }
+
+    // Settings & status
+    showSyncModal() {
+        const state = this.getState();
+        document.getElementById('syncEndpoint').value = state ? state.endpoint : '';
+        document.getElementById('syncToken').value = state ? state.token || '' : '';
+        document.getElementById('syncEnabled').checked = state ? state.enabled : true;
+        this.renderStatus();
+        document.getElementById('syncModal').style.display = 'block';
+    }
+
+    closeSyncModal() {
+        document.getElementById('syncModal').style.display = 'none';
+    }
+
+    saveSettings() {
+        const username = this.getUsername();
+        const endpoint = document.getElementById('syncEndpoint').value.trim();
+        const token = document.getElementById('syncToken').value.trim();
+        const enabled = document.getElementById('syncEnabled').checked;
+
+        try {
+            const url = new URL(endpoint);
+            if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+        } catch (error) {
+            alert('Please enter a valid http(s) server address');
+            return;
+        }
+
+        let state = this.getState(username);
+        if (!state || state.endpoint !== endpoint) {
+            // A new server starts from scratch: everything local is pushed
+            // and everything on the server is pulled
+            state = {
+                endpoint,
+                cursor: 0,
+                queue: this.getAllRecords(username),
+                shadows: {},
+                conflicts: [],
+                lastSyncedAt: null,
+                lastError: null
+            };
+        }
+        state.token = token;
+        state.enabled = enabled;
+
+        this.storage.setSyncState(username, state);
+        this.renderStatus();
+        if (enabled) {
+            this.sync().then(() => this.renderStatus());
+        } else {
+            this.setStatus('idle');
+        }
+    }
+
+    disconnect() {
+        const username = this.getUsername();
+        if (!this.getState(username)) return;
+        if (!confirm('Stop syncing with this server? Your tasks stay on this device.')) return;
+
+        clearTimeout(this.syncTimer);
+        this.storage.setSyncState(username, null);
+        this.setStatus('idle');
+        document.getElementById('syncForm').reset();
+        document.getElementById('syncEnabled').checked = true;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.renderStatus();
+    }
+
+    renderStatus() {
+        const state = this.getState();
+        const conflicts = state ? state.conflicts.length : 0;
+
+        const menuBadge = document.getElementById('syncMenuBadge');
+        if (menuBadge) {
+            menuBadge.textContent = conflicts;
+            menuBadge.style.display = conflicts > 0 ? 'inline-block' : 'none';
+        }
+
+        const reviewButton = document.getElementById('reviewConflictsBtn');
+        if (reviewButton) {
+            reviewButton.style.display = conflicts > 0 ? 'inline-flex' : 'none';
+        }
+
+        const statusElement = document.getElementById('syncStatus');
+        if (!statusElement) return;
+
+        if (!state) {
+            statusElement.textContent = 'Not connected. Your data only lives in this browser.';
+            return;
+        }
+
+        const labels = {
+            idle: state.enabled ? 'Waiting to sync' : 'Sync is paused',
+            syncing: 'Syncing…',
+            synced: 'Up to date',
+            offline: 'Offline: changes will sync when the server is reachable',
+            conflicts: 'Some changes need review',
+            error: `Sync failed: ${state.lastError || 'unknown error'}`
         };
+        const details = [labels[this.status] || labels.idle];
+        if (state.lastSyncedAt) {
+            details.push(`last synced ${new Date(state.lastSyncedAt).toLocaleString()}`);
+        }
+        if (state.queue.length > 0) {
+            details.push(`${state.queue.length} ${state.queue.length === 1 ? 'change' : 'changes'} waiting`);
+        }
+        if (conflicts > 0) {
+            details.push(`${conflicts} ${conflicts === 1 ? 'conflict' : 'conflicts'}`);
+        }
+        statusElement.textContent = details.join(' · ');
+        statusElement.classList.toggle('sync-status-error', this.status === 'error' || conflicts > 0);
     }
+}
 
-    init() {
-        this.checkAllBadges();
-        this.renderBadges();
+// Encrypted Vault System
+class VaultManager {
+    constructor(storageManager, authManager) {
+        this.storage = storageManager;
+        this.auth = authManager;
+        this.init();
     }
 
-    checkCompletionStreak(tasks, requiredDays) {
-        const today = new Date();
-        let streak = 0;
-        
-        for (let i = 0; i < 365; i++) {
-            const checkDate = new Date(today);
-            checkDate.setDate(today.getDate() - i);
-            const dateString = checkDate.toISOString().split('T')[0];
-            
-            const dayTasks = tasks.filter(task => task.date === dateString);
-            
-            if (dayTasks.length === 0) {
-                continue;
+    init() {
+        const forms = {
+            vaultEnableForm: () => this.enableVault(),
+            vaultDisableForm: () => this.disableVault()
+        };
+        Object.entries(forms).forEach(([formId, handler]) => {
+            const form = document.getElementById(formId);
+            if (form) {
+                form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    handler();
+                });
             }
-            
-            const allCompleted = dayTasks.every(task => task.completed);
-            
-            if (allCompleted) {
-                streak++;
-            } else {
-                break;
+        });
+    }
+
+    showVaultModal() {
+        this.render();
+        document.getElementById('vaultModal').style.display = 'block';
+    }
+
+    closeVaultModal() {
+        document.getElementById('vaultModal').style.display = 'none';
+        ['vaultEnableForm', 'vaultDisableForm'].forEach(formId => {
+            document.getElementById(formId).reset();
+        });
+    }
+
+    render() {
+        const enabled = this.storage.hasVault(this.auth.currentSession);
+
+        const status = document.getElementById('vaultStatus');
+        status.innerHTML = enabled
+            ? '<i class="fas fa-lock"></i> Encryption is on. Your tasks and badges are stored encrypted with your password.'
+            : '<i class="fas fa-lock-open"></i> Encryption is off. Anyone with access to this browser can read your tasks.';
+        status.classList.toggle('vault-status-on', enabled);
+
+        document.getElementById('vaultEnableForm').style.display = enabled ? 'none' : 'block';
+        document.getElementById('vaultDisableForm').style.display = enabled ? 'block' : 'none';
+    }
+
+    async enableVault() {
+        const password = document.getElementById('vaultPassword').value;
+        if (!await this.auth.verifyPassword(password)) {
+            alert('Password is incorrect');
+            return;
+        }
+
+        const submitButton = document.querySelector('#vaultEnableForm .submit-btn');
+        submitButton.disabled = true;
+        try {
+            if (!await this.storage.enableVault(this.auth.currentSession, password)) {
+                throw new Error('Could not save the encrypted data');
             }
-            
-            if (streak >= requiredDays) {
-                return true;
+        } catch (error) {
+            console.error('Error enabling vault:', error);
+            alert(`Encryption failed: ${error.message}`);
+            return;
+        } finally {
+            submitButton.disabled = false;
+        }
+
+        document.getElementById('vaultEnableForm').reset();
+        this.render();
+        if (window.notificationManager) {
+            window.notificationManager.showNotification(
+                '🔒 Encryption Enabled',
+                'Your tasks and badges are now stored encrypted.',
+                '🔒'
+            );
+        }
+
+        // Existing codes hold no copy of the new data key, so they are replaced
+        if (this.auth.getCurrentUserData().recovery && window.accountManager) {
+            try {
+                const codes = await this.auth.generateRecoveryCodes();
+                window.accountManager.showRecoveryCodes(
+                    codes,
+                    'Encryption is on, so your old recovery codes were replaced. Save these new ones.'
+                );
+            } catch (error) {
+                alert(`Your recovery codes could not be replaced: ${error.message}`);
             }
         }
-        
-        return false;
     }
 
-    checkAllBadges() {
-        const tasks = this.storage.getTasks();
-        const userStats = this.storage.getTaskStats();
-        const currentBadges = this.storage.getBadges();
-        const currentBadgeIds = currentBadges.map(badge => badge.id);
+    async disableVault() {
+        const password = document.getElementById('vaultDisablePassword').value;
+        if (!await this.auth.verifyPassword(password)) {
+            alert('Password is incorrect');
+            return;
+        }
 
-        Object.values(this.badgeDefinitions).forEach(badgeDef => {
-            if (currentBadgeIds.includes(badgeDef.id)) return;
+        if (!confirm('Store your tasks and badges unencrypted again?')) return;
 
-            if (badgeDef.condition(userStats, tasks)) {
-                this.awardBadge(badgeDef);
+        if (!await this.storage.disableVault(this.auth.currentSession)) {
+            alert('Could not save your data unencrypted');
+        }
+        document.getElementById('vaultDisableForm').reset();
+        this.render();
+    }
+}
+
+// Account System
+class AccountManager {
+    constructor(storageManager, authManager) {
+        this.storage = storageManager;
+        this.auth = authManager;
+        this.init();
+    }
+
+    init() {
+        const forms = {
+            displayNameForm: () => this.updateDisplayName(),
+            changePasswordForm: () => this.changePassword(),
+            pinForm: () => this.savePin(),
+            recoveryCodesForm: () => this.regenerateRecoveryCodes(),
+            deleteAccountForm: () => this.deleteAccount()
+        };
+        Object.entries(forms).forEach(([formId, handler]) => {
+            const form = document.getElementById(formId);
+            if (form) {
+                form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    handler();
+                });
             }
         });
+
+        const autoLockSelect = document.getElementById('autoLockMinutes');
+        if (autoLockSelect) {
+            autoLockSelect.addEventListener('change', () => {
+                this.storage.setAutoLockMinutes(parseInt(autoLockSelect.value, 10));
+            });
+        }
     }
 
-    awardBadge(badgeDefinition) {
-        const badge = {
-            ...badgeDefinition,
-            earnedAt: new Date().toISOString()
-        };
+    showAccountModal() {
+        this.render();
+        document.getElementById('accountModal').style.display = 'block';
+    }
 
-        const addedBadge = this.storage.addBadge(badge);
-        
-        if (addedBadge) {
-            if (window.notificationManager) {
-                window.notificationManager.showBadgeEarnedNotification(badge);
-            }
+    closeAccountModal() {
+        document.getElementById('accountModal').style.display = 'none';
+        ['changePasswordForm', 'pinForm', 'recoveryCodesForm', 'deleteAccountForm'].forEach(formId => {
+            document.getElementById(formId).reset();
+        });
+    }
 
-            this.showBadgeCelebration(badge);
-            this.renderBadges();
-            
-            if (window.taskManager) {
-                window.taskManager.updateStats();
-            }
+    render() {
+        const user = this.auth.getCurrentUserData();
+        if (!user) return;
+
+        document.getElementById('accountUsername').textContent = user.username;
+        document.getElementById('accountDisplayName').value = user.displayName || '';
+        document.getElementById('autoLockMinutes').value = String(this.storage.getAutoLockMinutes());
+        document.getElementById('changePasswordHint').textContent = user.vault
+            ? 'Your encrypted data will be re-keyed to open with the new password.'
+            : '';
+        document.getElementById('pinStatus').textContent = user.pinHash
+            ? 'A PIN is set. Leave the PIN empty to remove it.'
+            : 'No PIN is set, so switching to this profile asks for your password.';
+        document.getElementById('recoveryStatus').textContent = user.recovery
+            ? `${this.auth.getUnusedRecoveryCodeCount()} of ${user.recovery.codes.length} recovery codes left, ` +
+              `created ${new Date(user.recovery.createdAt).toLocaleDateString()}.`
+            : 'You have no recovery codes. Without them a forgotten password cannot be reset.';
+    }
 
-            console.log(`Badge earned: ${badge.title}`);
+    async regenerateRecoveryCodes() {
+        const password = document.getElementById('recoveryPassword').value;
+        if (!await this.auth.verifyPassword(password)) {
+            alert('Password is incorrect');
+            return;
+        }
+
+        const user = this.auth.getCurrentUserData();
+        if (user.recovery && !confirm('Create new recovery codes? Your current codes will stop working.')) return;
+
+        try {
+            const codes = await this.auth.generateRecoveryCodes();
+            document.getElementById('recoveryCodesForm').reset();
+            this.render();
+            this.showRecoveryCodes(codes);
+        } catch (error) {
+            alert(error.message);
         }
     }
 
-    showBadgeCelebration(badge) {
-        const celebration = document.createElement('div');
-        celebration.className = 'badge-celebration';
-        celebration.innerHTML = `
-            <div class="celebration-content">
-                <div class="celebration-icon">${badge.icon}</div>
-                <div class="celebration-title">New Badge Earned!</div>
-                <div class="celebration-badge-title">${badge.title}</div>
-                <div class="celebration-description">${badge.description}</div>
-            </div>
-        `;
+    showRecoveryCodes(codes, message = '') {
+        this.recoveryCodes = codes;
+        document.getElementById('recoveryCodesMessage').textContent = message;
+        document.getElementById('recoveryCodeList').innerHTML = codes
+            .map(code => `<li>${escapeHtml(code)}</li>`)
+            .join('');
+        document.getElementById('recoveryCodesModal').style.display = 'block';
+    }
 
-        document.body.appendChild(celebration);
+    closeRecoveryCodes() {
+        document.getElementById('recoveryCodesModal').style.display = 'none';
+        document.getElementById('recoveryCodeList').innerHTML = '';
+        this.recoveryCodes = null;
+    }
 
-        setTimeout(() => {
-            celebration.classList.add('show');
-        }, 10);
+    formatRecoveryCodes() {
+        const user = this.auth.getCurrentUserData();
+        return [
+            `Mission Monitor recovery codes for ${user ? user.username : ''}`,
+            'Each code can be used once to reset your password.',
+            '',
+            ...this.recoveryCodes
+        ].join('\n');
+    }
 
-        setTimeout(() => {
-            if (celebration.parentNode) {
-                celebration.remove();
-            }
-        }, 4000);
+    async copyRecoveryCodes() {
+        try {
+            await navigator.clipboard.writeText(this.formatRecoveryCodes());
+        } catch (error) {
+            alert('Could not copy the codes. Please write them down or download them.');
+        }
     }
 
-    checkDailyCompletionBadge() {
-        const tasks = this.storage.getTasks();
-        const today = new Date().toISOString().split('T')[0];
-        const todayTasks = tasks.filter(task => task.date === today);
-        
-        if (todayTasks.length > 0 && todayTasks.every(task => task.completed)) {
-            const currentBadges = this.storage.getBadges();
-            const dailyBadge = this.badgeDefinitions.dailyCompletion;
-            
-            const todayBadge = currentBadges.find(badge => 
-                badge.id === 'dailyCompletion' && 
-                badge.earnedAt.split('T')[0] === today
+    downloadRecoveryCodes() {
+        downloadFile('mission-monitor-recovery-codes.txt', this.formatRecoveryCodes(), 'text/plain');
+    }
+
+    async savePin() {
+        const password = document.getElementById('pinPassword').value;
+        const pin = document.getElementById('profilePin').value.trim();
+
+        try {
+            await this.auth.setPin(password, pin);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        document.getElementById('pinForm').reset();
+        this.render();
+        if (window.notificationManager) {
+            window.notificationManager.showNotification(
+                '🔢 PIN Updated',
+                pin ? 'You can switch to this profile with your PIN.' : 'Your PIN has been removed.',
+                '🔢'
+            );
+        }
+    }
+
+    updateDisplayName() {
+        const displayName = document.getElementById('accountDisplayName').value.trim();
+
+        try {
+            this.auth.updateDisplayName(displayName);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        if (window.missionMonitorApp) {
+            window.missionMonitorApp.updateUserGreeting();
+        }
+        if (window.notificationManager) {
+            window.notificationManager.showNotification(
+                '👤 Name Updated',
+                `You will be greeted as ${displayName}.`,
+                '👤'
             );
+        }
+    }
 
-            if (!todayBadge) {
-                this.awardBadge(dailyBadge);
-                
-                if (window.notificationManager) {
-                    window.notificationManager.showDailyCompletionNotification();
-                }
-            }
+    async changePassword() {
+        const currentPassword = document.getElementById('currentPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+        const confirmNewPassword = document.getElementById('confirmNewPassword').value;
+
+        if (newPassword !== confirmNewPassword) {
+            alert('Passwords do not match');
+            return;
+        }
+
+        try {
+            await this.auth.changePassword(currentPassword, newPassword);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        document.getElementById('changePasswordForm').reset();
+        if (window.notificationManager) {
+            window.notificationManager.showNotification(
+                '🔑 Password Changed',
+                'Use your new password the next time you sign in.',
+                '🔑'
+            );
         }
     }
 
-    renderBadges() {
-        const badgesContainer = document.getElementById('badgesContainer');
-        if (!badgesContainer) return;
+    async deleteAccount() {
+        const password = document.getElementById('deleteAccountPassword').value;
+        if (!confirm('Delete your account and all of its tasks, badges and restore points? This cannot be undone.')) return;
 
-        const userBadges = this.storage.getBadges();
-        
-        if (userBadges.length === 0) {
-            badgesContainer.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-trophy"></i>
-                    <h3>No badges yet</h3>
-                    <p>Complete tasks to earn your first badge!</p>
-                </div>
+        try {
+            await this.auth.deleteAccount(password);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        if (window.notificationManager) {
+            window.notificationManager.clearAllNotifications();
+        }
+        if (window.historyManager) {
+            window.historyManager.clear();
+        }
+        location.reload();
+    }
+}
+
+// Profile Switcher System
+class ProfileManager {
+    constructor(storageManager, authManager) {
+        this.storage = storageManager;
+        this.auth = authManager;
+        this.targetUser = null;
+        this.init();
+    }
+
+    init() {
+        const form = document.getElementById('switchProfileForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.switchProfile();
+            });
+        }
+    }
+
+    renderMenu() {
+        const users = Object.values(this.storage.getUsers())
+            .sort((a, b) => (a.displayName || a.username).localeCompare(b.displayName || b.username));
+
+        document.getElementById('profileMenuList').innerHTML = users.map((user, index) => {
+            const current = user.username === this.auth.currentSession;
+            return `
+                <button class="profile-item${current ? ' current' : ''}" data-index="${index}"${current ? ' disabled' : ''}>
+                    <span class="profile-avatar">${escapeHtml((user.displayName || user.username).charAt(0).toUpperCase())}</span>
+                    <span class="profile-name">
+                        ${escapeHtml(user.displayName || user.username)}
+                        <small>${escapeHtml(user.username)}</small>
+                    </span>
+                    ${current ? '<i class="fas fa-check"></i>' : ''}
+                </button>
             `;
-            return;
-        }
+        }).join('');
 
-        userBadges.sort((a, b) => new Date(b.earnedAt) - new Date(a.earnedAt));
+        document.querySelectorAll('#profileMenuList .profile-item:not(.current)').forEach(button => {
+            button.addEventListener('click', () => this.showSwitchModal(users[button.dataset.index].username));
+        });
+    }
 
-        badgesContainer.innerHTML = userBadges.map(badge => 
-            this.createBadgeCard(badge)
-        ).join('');
+    showSwitchModal(username) {
+        const user = this.storage.getUser(username);
+        if (!user) return;
+
+        closeProfileMenu();
+        this.targetUser = username;
+        const usePin = this.auth.canUsePin(username);
+        const secretInput = document.getElementById('switchProfileSecret');
+
+        document.getElementById('switchProfileName').textContent = user.displayName || user.username;
+        document.getElementById('switchProfileLabel').textContent = usePin ? 'PIN' : 'Password';
+        secretInput.inputMode = usePin ? 'numeric' : 'text';
+        secretInput.autocomplete = usePin ? 'off' : 'current-password';
+        document.getElementById('switchProfileModal').style.display = 'block';
+        secretInput.focus();
     }
 
-    createBadgeCard(badge) {
-        const earnedDate = new Date(badge.earnedAt);
-        const isRecent = Date.now() - earnedDate.getTime() < 24 * 60 * 60 * 1000;
+    closeSwitchModal() {
+        document.getElementById('switchProfileModal').style.display = 'none';
+        document.getElementById('switchProfileForm').reset();
+        this.targetUser = null;
+    }
 
-        return `
-            <div class="badge-item ${isRecent ? 'recent' : ''}" data-badge-id="${badge.id}">
-                <div class="badge-icon">${badge.icon}</div>
-                <div class="badge-title">${badge.title}</div>
-                <div class="badge-description">${badge.description}</div>
-                <div class="badge-date">
-                    Earned ${earnedDate.toLocaleDateString()}
-                </div>
-            </div>
-        `;
+    async switchProfile() {
+        const username = this.targetUser;
+        const secret = document.getElementById('switchProfileSecret').value;
+        if (!username) return;
+
+        try {
+            await this.auth.switchUser(username, secret);
+        } catch (error) {
+            // A vault that fails to open signs everyone out
+            if (!this.auth.isLoggedIn()) {
+                location.reload();
+                return;
+            }
+            alert(error.message);
+            // The prompt switches to the password after too many wrong PINs
+            document.getElementById('switchProfileSecret').value = '';
+            this.showSwitchModal(username);
+            return;
+        }
+
+        // The previous user's reminders and undo steps must not carry over
+        if (window.notificationManager) {
+            window.notificationManager.clearAllNotifications();
+        }
+        if (window.historyManager) {
+            window.historyManager.clear();
+        }
+
+        this.closeSwitchModal();
+        if (window.missionMonitorApp) {
+            window.missionMonitorApp.loadCurrentUser();
+        }
     }
 }
 
@@ -1631,6 +8495,11 @@ class MissionMonitorApp {
         if (window.auth && window.auth.isLoggedIn()) {
             this.showMainApp();
         } else {
+            // Signed in, but the encrypted vault needs the password again
+            const lockedUser = window.storage && window.storage.getCurrentUser();
+            if (lockedUser) {
+                document.getElementById('loginUsername').value = lockedUser;
+            }
             this.showAuthSection();
         }
     }
@@ -1648,6 +8517,7 @@ class MissionMonitorApp {
 
     initializeMainAppComponents() {
         this.updateUserGreeting();
+        this.setTheme(window.storage.getTheme(), false);
 
         if (window.quotesManager) {
             window.quotesManager.init();
@@ -1665,9 +8535,56 @@ class MissionMonitorApp {
             window.chartManager.initCharts();
         }
 
+        this.startUserServices();
+    }
+
+    // Shows the user who just took over this tab, without a reload. The
+    // managers read everything from storage, so re-rendering swaps them over.
+    loadCurrentUser() {
+        this.updateUserGreeting();
+        this.setTheme(window.storage.getTheme(), false);
+
+        if (window.taskManager) {
+            window.taskManager.renderTasks();
+            window.taskManager.updateStats();
+        }
+
+        if (window.badgeManager) {
+            window.badgeManager.renderBadges();
+        }
+
+        if (window.chartManager) {
+            window.chartManager.updateCharts();
+        }
+
+        if (window.autoLock) {
+            window.autoLock.lastActivity = Date.now();
+        }
+
+        this.startUserServices();
+    }
+
+    startUserServices() {
         if (window.notificationManager) {
             window.notificationManager.scheduleAllTaskNotifications();
         }
+
+        if (window.snapshotManager) {
+            window.snapshotManager.ensureDailySnapshot();
+        }
+
+        if (window.trashManager) {
+            window.trashManager.applyRetentionPolicy();
+        }
+
+        if (window.storageHealth) {
+            window.storageHealth.checkUsage();
+        }
+
+        if (window.syncManager) {
+            window.syncManager.renderStatus();
+            window.syncManager.requestSync(0);
+        }
     }
 
     async initializeManagers() {
@@ -1690,10 +8607,10 @@ class MissionMonitorApp {
 
     initializeTheme() {
         const savedTheme = window.storage ? window.storage.getTheme() : 'light';
-        this.setTheme(savedTheme);
+        this.setTheme(savedTheme, false);
     }
 
-    setTheme(theme) {
+    setTheme(theme, persist = true) {
         this.currentTheme = theme;
         document.documentElement.setAttribute('data-theme', theme);
         
@@ -1702,7 +8619,7 @@ class MissionMonitorApp {
             themeToggle.className = theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
         }
 
-        if (window.storage) {
+        if (window.storage && persist) {
             window.storage.setTheme(theme);
         }
 
@@ -1757,10 +8674,77 @@ class MissionMonitorApp {
         document.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcuts(e);
         });
+
+        document.addEventListener('dataChanged', (e) => {
+            if (e.detail.remote) {
+                this.handleRemoteChanges(e.detail.changes);
+            }
+        });
+    }
+
+    handleRemoteChanges(changes) {
+        if (!this.initialized) return;
+
+        const touches = (store) => !changes || changes.some(change => change.store === store);
+        const touchesMeta = (key) => !changes || changes.some(change =>
+            change.store === 'meta' && change.value.key === key
+        );
+
+        // Logging in or out in another tab changes who this tab belongs to
+        if (touchesMeta('currentUser') && window.auth &&
+            window.storage.getCurrentUser() !== window.auth.currentSession) {
+            location.reload();
+            return;
+        }
+
+        if (touches('users')) {
+            this.updateUserGreeting();
+            this.setTheme(window.storage.getTheme(), false);
+        }
+
+        if (touchesMeta('session') && window.autoLock) {
+            window.autoLock.syncWithSession();
+        }
+
+        if (touches('tasks')) {
+            if (window.taskManager) {
+                window.taskManager.applyTaskChanges(changes);
+            }
+
+            if (window.chartManager) {
+                window.chartManager.updateCharts();
+            }
+
+            if (window.notificationManager) {
+                if (changes) {
+                    changes.filter(change => change.store === 'tasks').forEach(change => {
+                        const taskId = change.op === 'put' ? change.value.id : change.key;
+                        const task = [...window.storage.getTasks(), ...window.storage.getSeries()].find(t => t.id === taskId);
+                        window.notificationManager.cancelTaskNotifications(taskId);
+                        if (task) {
+                            window.notificationManager.scheduleTaskNotifications(task);
+                        }
+                    });
+                } else {
+                    window.notificationManager.scheduleAllTaskNotifications();
+                }
+            }
+        }
+
+        if (touches('badges')) {
+            if (window.badgeManager) {
+                window.badgeManager.renderBadges();
+            }
+
+            if (window.taskManager) {
+                window.taskManager.updateStats();
+            }
+        }
     }
 
     handleKeyboardShortcuts(e) {
         if (document.getElementById('mainApp').style.display === 'none') return;
+        if (window.autoLock && window.autoLock.locked) return;
 
         if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
             e.preventDefault();
@@ -1774,6 +8758,17 @@ class MissionMonitorApp {
             this.toggleTheme();
         }
 
+        // Leave text fields to their own undo
+        const editingText = e.target.matches && e.target.matches('input, textarea, select');
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !editingText && window.historyManager) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                window.historyManager.redo();
+            } else {
+                window.historyManager.undo();
+            }
+        }
+
         if (e.key === 'Escape') {
             this.closeAllModals();
         }
@@ -1809,6 +8804,10 @@ class MissionMonitorApp {
             if (window.quotesManager) {
                 window.quotesManager.displayQuote();
             }
+
+            if (window.snapshotManager) {
+                window.snapshotManager.ensureDailySnapshot();
+            }
         } catch (error) {
             console.error('Error refreshing app data:', error);
         }
@@ -1816,27 +8815,54 @@ class MissionMonitorApp {
 }
 
 // Global Variables
-let storage, auth, taskManager, quotesManager, notificationManager, chartManager, badgeManager, missionMonitorApp;
+let storage, tabSync, auth, taskManager, quotesManager, notificationManager, chartManager, badgeManager, historyManager, trashManager, storageHealth, snapshotManager, backupManager, icalManager, csvManager, syncManager, vaultManager, accountManager, profileManager, autoLock, missionMonitorApp;
 
 // Initialize Application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Initialize core systems
     storage = new StorageManager();
+    await storage.ready;
+    tabSync = new TabSyncManager(storage);
     auth = new AuthManager(storage);
     taskManager = new TaskManager(storage);
     quotesManager = new QuotesManager();
     notificationManager = new NotificationManager(storage);
     chartManager = new ChartManager(storage);
     badgeManager = new BadgeManager(storage);
+    historyManager = new HistoryManager(storage);
+    trashManager = new TrashManager(storage);
+    storageHealth = new StorageHealthManager(storage);
+    snapshotManager = new SnapshotManager(storage);
+    backupManager = new BackupManager(storage);
+    icalManager = new ICalendarManager(storage);
+    csvManager = new CsvManager(storage);
+    syncManager = new SyncManager(storage);
+    vaultManager = new VaultManager(storage, auth);
+    accountManager = new AccountManager(storage, auth);
+    profileManager = new ProfileManager(storage, auth);
+    autoLock = new AutoLockManager(auth, storage);
 
     // Make available globally
     window.storage = storage;
+    window.tabSync = tabSync;
     window.auth = auth;
     window.taskManager = taskManager;
     window.quotesManager = quotesManager;
     window.notificationManager = notificationManager;
     window.chartManager = chartManager;
     window.badgeManager = badgeManager;
+    window.historyManager = historyManager;
+    window.trashManager = trashManager;
+    window.storageHealth = storageHealth;
+    window.snapshotManager = snapshotManager;
+    window.backupManager = backupManager;
+    window.icalManager = icalManager;
+    window.csvManager = csvManager;
+    window.syncManager = syncManager;
+    window.vaultManager = vaultManager;
+    window.accountManager = accountManager;
+    window.profileManager = profileManager;
+    window.autoLock = autoLock;
 
     // Initialize main app
     missionMonitorApp = new MissionMonitorApp();
@@ -1858,23 +8884,30 @@ function setupAuthForms() {
     if (signupForm) {
         signupForm.addEventListener('submit', handleSignup);
     }
+
+    const recoveryForm = document.getElementById('recoveryFormElement');
+    if (recoveryForm) {
+        recoveryForm.addEventListener('submit', handleRecovery);
+    }
 }
 
-function handleLogin(e) {
+async function handleLogin(e) {
     e.preventDefault();
     
     const username = document.getElementById('loginUsername').value.trim();
     const password = document.getElementById('loginPassword').value;
+    const remember = document.getElementById('rememberMe').checked;
 
     try {
-        auth.login(username, password);
+        await auth.login(username, password, remember);
+        await auth.unlockVault(password);
         missionMonitorApp.showMainApp();
     } catch (error) {
         alert(error.message);
     }
 }
 
-function handleSignup(e) {
+async function handleSignup(e) {
     e.preventDefault();
     
     const username = document.getElementById('signupUsername').value.trim();
@@ -1888,21 +8921,63 @@ function handleSignup(e) {
     }
 
     try {
-        auth.register(username, password, displayName);
+        await auth.register(username, password, displayName);
+        const codes = await auth.generateRecoveryCodes();
+        missionMonitorApp.showMainApp();
+        accountManager.showRecoveryCodes(
+            codes,
+            'If you ever forget your password, one of these codes lets you set a new one. Keep them somewhere safe.'
+        );
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function handleRecovery(e) {
+    e.preventDefault();
+
+    const username = document.getElementById('recoveryUsername').value.trim();
+    const code = document.getElementById('recoveryCode').value;
+    const password = document.getElementById('recoveryNewPassword').value;
+    const confirmPassword = document.getElementById('recoveryConfirmPassword').value;
+
+    if (password !== confirmPassword) {
+        alert('Passwords do not match');
+        return;
+    }
+
+    try {
+        await auth.recoverAccount(username, code, password);
+        await auth.login(username, password);
+        await auth.unlockVault(password);
+        document.getElementById('recoveryFormElement').reset();
         missionMonitorApp.showMainApp();
+
+        const remaining = auth.getUnusedRecoveryCodeCount();
+        alert(`Your password has been reset. You have ${remaining} recovery codes left` +
+            (remaining <= 2 ? '; create new ones under Account.' : '.'));
     } catch (error) {
         alert(error.message);
     }
 }
 
+function showAuthForm(formId) {
+    document.querySelectorAll('#authSection .auth-form').forEach(form => {
+        form.classList.toggle('active', form.id === formId);
+    });
+}
+
 function showLoginForm() {
-    document.getElementById('signupForm').classList.remove('active');
-    document.getElementById('loginForm').classList.add('active');
+    showAuthForm('loginForm');
 }
 
 function showSignupForm() {
-    document.getElementById('loginForm').classList.remove('active');
-    document.getElementById('signupForm').classList.add('active');
+    showAuthForm('signupForm');
+}
+
+function showRecoveryForm() {
+    document.getElementById('recoveryUsername').value = document.getElementById('loginUsername').value;
+    showAuthForm('recoveryForm');
 }
 
 function togglePasswordVisibility(inputId) {
@@ -1926,11 +9001,25 @@ function logout() {
     }
 }
 
+function signOutFromLock() {
+    auth.logout();
+    location.reload();
+}
+
 // Task Functions
-function showAddTaskModal() {
+// The calendars pass the date and start time of the slot clicked; the
+// task then lasts an hour
+function showAddTaskModal(date, startTime) {
+    taskManager.updateSuggestions();
     document.getElementById('addTaskModal').style.display = 'block';
     // Set default date to today
-    document.getElementById('taskDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('taskDate').value = date || new Date().toISOString().split('T')[0];
+    if (startTime) {
+        const endHour = Number(startTime.slice(0, 2)) + 1;
+        document.getElementById('taskStartTime').value = startTime;
+        document.getElementById('taskEndTime').value = endHour > 23 ? '23:59' : `${String(endHour).padStart(2, '0')}:${startTime.slice(3)}`;
+    }
+    taskManager.updateRecurrenceForm('task');
 }
 
 function closeAddTaskModal() {
@@ -1953,12 +9042,283 @@ function deleteTask(taskId) {
     taskManager.deleteTask(taskId);
 }
 
+function archiveTask(taskId) {
+    taskManager.archiveTask(taskId);
+}
+
+function addChecklistItem() {
+    taskManager.addChecklistItem();
+}
+
+function deleteOccurrence(scope) {
+    taskManager.deleteOccurrence(scope);
+}
+
+function closeDeleteSeriesModal() {
+    taskManager.closeDeleteSeriesModal();
+}
+
+function showTrashModal(tab) {
+    closeDataMenu();
+    trashManager.showTrashModal(tab);
+}
+
+function closeTrashModal() {
+    trashManager.closeTrashModal();
+}
+
+function switchTrashTab(tab) {
+    trashManager.switchTab(tab);
+}
+
+function showStorageModal() {
+    closeDataMenu();
+    storageHealth.showStorageModal();
+}
+
+function closeStorageModal() {
+    storageHealth.closeStorageModal();
+}
+
+function dismissStorageAlert() {
+    storageHealth.dismissAlert();
+}
+
+function showSnapshotModal() {
+    closeDataMenu();
+    snapshotManager.showSnapshotModal();
+}
+
+function closeSnapshotModal() {
+    snapshotManager.closeSnapshotModal();
+}
+
+function takeSnapshot() {
+    snapshotManager.takeSnapshot();
+}
+
+function restoreSnapshot(snapshotId) {
+    snapshotManager.restoreSnapshot(snapshotId);
+}
+
+function emptyTrash() {
+    trashManager.emptyTrash();
+}
+
 function filterTasks() {
     const priorityFilter = document.getElementById('priorityFilter').value;
     const statusFilter = document.getElementById('statusFilter').value;
     
-    taskManager.setFilter('priority', priorityFilter);
-    taskManager.setFilter('status', statusFilter);
+    taskManager.setFilters({
+        priority: priorityFilter,
+        status: statusFilter,
+        project: document.getElementById('projectFilter').value,
+        tags: [...document.querySelectorAll('#tagFilterOptions input:checked')].map(input => input.value),
+        tagMode: document.querySelector('input[name="tagFilterMode"]:checked').value
+    });
+}
+
+function toggleTagFilter(e) {
+    e.stopPropagation();
+    document.getElementById('tagFilterMenu').classList.toggle('open');
+}
+
+function clearTagFilter() {
+    taskManager.setFilters({ tags: [] });
+}
+
+function shiftTaskRange(direction) {
+    taskManager.shiftRange(direction);
+}
+
+function showTodayRange() {
+    taskManager.setRange({ date: '' });
+}
+
+function jumpToDate() {
+    const date = document.getElementById('taskRangeDate').value;
+    if (date) {
+        taskManager.setRange({ date });
+    }
+}
+
+function setTaskRangeSize() {
+    taskManager.setRange({ size: document.getElementById('taskRangeSize').value });
+}
+
+function setTaskView(view) {
+    taskManager.setView(view);
+}
+
+function openCalendarDay(date) {
+    taskManager.openCalendarDay(date);
+}
+
+function showMoreDateGroups() {
+    taskManager.renderMoreDateGroups();
+}
+
+function searchTasks() {
+    taskManager.setSearch(document.getElementById('taskSearch').value);
+}
+
+function clearSearch() {
+    document.getElementById('taskSearch').value = '';
+    taskManager.setSearch('');
+}
+
+// Data Functions
+function toggleDataMenu(e) {
+    e.stopPropagation();
+    document.getElementById('dataMenu').classList.toggle('open');
+}
+
+function closeDataMenu() {
+    document.getElementById('dataMenu').classList.remove('open');
+}
+
+function downloadBackup() {
+    closeDataMenu();
+    backupManager.downloadBackup();
+}
+
+function showRestoreModal() {
+    closeDataMenu();
+    backupManager.showRestoreModal();
+}
+
+function closeRestoreModal() {
+    backupManager.closeRestoreModal();
+}
+
+function showCalendarModal() {
+    closeDataMenu();
+    icalManager.showCalendarModal();
+}
+
+function closeCalendarModal() {
+    icalManager.closeCalendarModal();
+}
+
+function showCsvModal() {
+    closeDataMenu();
+    csvManager.showCsvModal();
+}
+
+function closeCsvModal() {
+    csvManager.closeCsvModal();
+}
+
+function checkCsvRows() {
+    csvManager.checkRows();
+}
+
+function showSyncModal() {
+    closeDataMenu();
+    syncManager.showSyncModal();
+}
+
+function closeSyncModal() {
+    syncManager.closeSyncModal();
+}
+
+function syncNow() {
+    syncManager.sync().then(() => syncManager.renderStatus());
+}
+
+function disconnectSync() {
+    syncManager.disconnect();
+}
+
+function showSyncConflictModal() {
+    syncManager.showConflictModal();
+}
+
+function closeSyncConflictModal() {
+    syncManager.closeConflictModal();
+}
+
+function chooseAllConflicts(side) {
+    syncManager.chooseAll(side);
+}
+
+function showVaultModal() {
+    closeDataMenu();
+    vaultManager.showVaultModal();
+}
+
+function closeVaultModal() {
+    vaultManager.closeVaultModal();
+}
+
+function showAccountModal() {
+    accountManager.showAccountModal();
+}
+
+function closeAccountModal() {
+    accountManager.closeAccountModal();
+}
+
+function closeRecoveryCodesModal() {
+    accountManager.closeRecoveryCodes();
+}
+
+function copyRecoveryCodes() {
+    accountManager.copyRecoveryCodes();
+}
+
+function downloadRecoveryCodes() {
+    accountManager.downloadRecoveryCodes();
+}
+
+function toggleProfileMenu(e) {
+    e.stopPropagation();
+    const profileMenu = document.getElementById('profileMenu');
+    if (!profileMenu.classList.contains('open')) {
+        profileManager.renderMenu();
+    }
+    profileMenu.classList.toggle('open');
+}
+
+function closeProfileMenu() {
+    document.getElementById('profileMenu').classList.remove('open');
+}
+
+function closeSwitchProfileModal() {
+    profileManager.closeSwitchModal();
+}
+
+function signInAsOther() {
+    closeProfileMenu();
+    logout();
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Also escapes quotes, so the result is safe inside attribute values
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Tags are stored lowercase, without a leading '#' and once each; a string
+// is split on commas and semicolons
+function parseTags(value) {
+    const tags = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+    return [...new Set(tags
+        .map(tag => String(tag).trim().replace(/^#+/, '').trim().toLowerCase())
+        .filter(Boolean))];
 }
 
 // Theme Functions
@@ -1978,6 +9338,21 @@ window.addEventListener('click', (e) => {
     if (e.target.classList.contains('modal')) {
         e.target.style.display = 'none';
     }
+
+    const dataMenu = document.getElementById('dataMenu');
+    if (dataMenu && !e.target.closest('.data-menu')) {
+        dataMenu.classList.remove('open');
+    }
+
+    const profileMenu = document.getElementById('profileMenu');
+    if (profileMenu && !e.target.closest('.profile-menu')) {
+        profileMenu.classList.remove('open');
+    }
+
+    const tagFilterMenu = document.getElementById('tagFilterMenu');
+    if (tagFilterMenu && !e.target.closest('.tag-filter')) {
+        tagFilterMenu.classList.remove('open');
+    }
 });
 
 // Handle errors
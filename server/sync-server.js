@@ -0,0 +1,212 @@
+// Mission Monitor reference sync server
+//
+// A small dependency-free server the app's Server Sync can talk to. Each
+// user's records live in one JSON file under SYNC_DATA_DIR.
+//
+//   node server/sync-server.js
+//
+// Environment: PORT (default 8787), SYNC_DATA_DIR (default server/data),
+// SYNC_TOKEN (when set, requests need "Authorization: Bearer <token>").
+//
+// GET  /users/:username/changes?since=<cursor>
+//      Records changed after the cursor, in the backup export format plus
+//      `cursor` and `deleted` ({ tasks: [{ id, revision }], badges: [...] }).
+// POST /users/:username/changes
+//      Backup export format trimmed to changed records, plus `deleted` and
+//      `baseRevisions` ({ tasks: { id: revision }, badges: {...}, settings: {...} }).
+//      A record is rejected when its base revision isn't the stored one,
+//      i.e. another device changed it first.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = process.env.SYNC_DATA_DIR || path.join(__dirname, 'data');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const STORES = ['tasks', 'badges', 'settings'];
+
+class SyncStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    getFile(username) {
+        return path.join(this.dataDir, `${encodeURIComponent(username)}.json`);
+    }
+
+    load(username) {
+        try {
+            return JSON.parse(fs.readFileSync(this.getFile(username), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return { version: 0, cursor: 0, records: {} };
+        }
+    }
+
+    // Written to a temporary file first so a crash never leaves half a file
+    save(username, userData) {
+        const file = this.getFile(username);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(userData));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    getChanges(username, since) {
+        const userData = this.load(username);
+        const payload = {
+            app: 'Mission Monitor',
+            version: userData.version,
+            exportedAt: new Date().toISOString(),
+            cursor: userData.cursor,
+            user: { username },
+            tasks: [],
+            badges: [],
+            deleted: { tasks: [], badges: [] }
+        };
+
+        Object.values(userData.records)
+            .filter(entry => entry.seq > since)
+            .forEach(entry => {
+                if (entry.store === 'settings') {
+                    payload.settings = entry.record;
+                } else if (entry.deleted) {
+                    payload.deleted[entry.store].push({ id: entry.id, revision: entry.revision });
+                } else {
+                    payload[entry.store].push(entry.record);
+                }
+            });
+        return payload;
+    }
+
+    applyChanges(username, payload) {
+        const userData = this.load(username);
+        const baseRevisions = payload.baseRevisions || {};
+        const deleted = payload.deleted || {};
+        const result = { accepted: [], rejected: [] };
+
+        const incoming = [
+            ...(payload.tasks || []).map(record => ({ store: 'tasks', id: record.id, record })),
+            ...(payload.badges || []).map(record => ({ store: 'badges', id: record.id, record })),
+            ...(payload.settings ? [{ store: 'settings', id: 'settings', record: payload.settings }] : []),
+            ...(deleted.tasks || []).map(entry => ({ store: 'tasks', id: entry.id, record: null })),
+            ...(deleted.badges || []).map(entry => ({ store: 'badges', id: entry.id, record: null }))
+        ];
+
+        incoming.forEach(({ store, id, record }) => {
+            const key = `${store}:${id}`;
+            const stored = userData.records[key];
+            const storedRevision = stored ? stored.revision : 0;
+            const baseRevision = Number((baseRevisions[store] || {})[id]) || 0;
+
+            if (baseRevision !== storedRevision) {
+                result.rejected.push({ store, id });
+                return;
+            }
+
+            // Revisions only ever go up, whatever the client sent
+            const revision = Math.max(record ? Number(record.revision) || 0 : 0, storedRevision + 1);
+            userData.cursor += 1;
+            userData.records[key] = {
+                store,
+                id,
+                revision,
+                seq: userData.cursor,
+                deleted: !record,
+                record: record ? { ...record, revision } : null
+            };
+            result.accepted.push({ store, id, revision });
+        });
+
+        userData.version = Math.max(userData.version, Number(payload.version) || 0);
+        if (result.accepted.length > 0) {
+            this.save(username, userData);
+        }
+        return { cursor: userData.cursor, ...result };
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function createServer(store) {
+    return http.createServer(async (req, res) => {
+        // The app is usually opened from another origin (or file://)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+            sendJson(res, 401, { error: 'Invalid or missing access token' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(/^\/users\/([^/]+)\/changes\/?$/);
+        if (!match) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        try {
+            const username = decodeURIComponent(match[1]);
+            if (req.method === 'GET') {
+                sendJson(res, 200, store.getChanges(username, Number(url.searchParams.get('since')) || 0));
+            } else if (req.method === 'POST') {
+                const payload = await readBody(req);
+                if (!payload || typeof payload !== 'object' || !STORES.some(name => name in payload)) {
+                    sendJson(res, 400, { error: 'Expected a Mission Monitor export payload' });
+                    return;
+                }
+                sendJson(res, 200, store.applyChanges(username, payload));
+            } else {
+                sendJson(res, 405, { error: 'Method not allowed' });
+            }
+        } catch (error) {
+            console.error(error);
+            sendJson(res, error.status || 500, { error: error.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    createServer(new SyncStore(DATA_DIR)).listen(PORT, () => {
+        console.log(`Mission Monitor sync server listening on http://localhost:${PORT}`);
+        console.log(`Storing data in ${DATA_DIR}${TOKEN ? ' (access token required)' : ''}`);
+    });
+}
+
+module.exports = { SyncStore, createServer };